@@ -0,0 +1,127 @@
+// --- Sync Server ---
+// A small self-hosted server that lets several devices share one dataset.
+// It stores the data in a JSON file with a revision number that goes up on
+// every save. A save or delete must name the revision it was based on; if
+// another device saved in between, it is refused with 409 and the current
+// data, so the app can ask the user how to resolve the conflict.
+//
+//   node server/sync-server.js [--port 8787] [--file sync-data.json]
+//
+//   GET    /data   -> { revision, data, updatedAt, updatedBy }
+//   PUT    /data   { baseRevision, data, deviceId } -> { revision, updatedAt } or 409
+//   DELETE /data   { baseRevision, deviceId } -> { revision } or 409
+
+import { createServer } from 'node:http';
+import { readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+const option = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const port = parseInt(option('port', process.env.PORT || '8787'), 10);
+const file = resolve(option('file', process.env.SYNC_FILE || 'sync-data.json'));
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+const emptyStore = () => ({ revision: 0, data: null, updatedAt: null, updatedBy: null });
+
+const readStore = () => {
+    try {
+        return { ...emptyStore(), ...JSON.parse(readFileSync(file, 'utf8')) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Could not read ${file}, starting empty:`, error.message);
+        return emptyStore();
+    }
+};
+
+let store = readStore();
+
+// Written to a temporary file first so a crash never leaves half a file
+const writeStore = (next) => {
+    writeFileSync(`${file}.tmp`, JSON.stringify(next));
+    renameSync(`${file}.tmp`, file);
+    store = next;
+};
+
+const send = (response, status, body) => {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (request) => new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new Error('Request body is too large.'));
+            request.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on('end', () => {
+        try {
+            resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+        } catch (error) {
+            reject(new Error('Request body is not valid JSON.'));
+        }
+    });
+    request.on('error', reject);
+});
+
+const handlePut = async (request, response) => {
+    const { baseRevision, data, deviceId } = await readBody(request);
+    if (!data || typeof data !== 'object') {
+        send(response, 400, { error: 'Missing data.' });
+        return;
+    }
+    if (baseRevision !== store.revision) {
+        send(response, 409, store);
+        return;
+    }
+    const updatedAt = new Date().toISOString();
+    writeStore({ revision: store.revision + 1, data, updatedAt, updatedBy: deviceId || null });
+    send(response, 200, { revision: store.revision, updatedAt });
+};
+
+const handleDelete = async (request, response) => {
+    const { baseRevision, deviceId } = await readBody(request);
+    if (baseRevision !== store.revision) {
+        send(response, 409, store);
+        return;
+    }
+    writeStore({ ...emptyStore(), revision: store.revision + 1, updatedAt: new Date().toISOString(), updatedBy: deviceId || null });
+    send(response, 200, { revision: store.revision });
+};
+
+const server = createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    try {
+        if (request.method === 'OPTIONS') {
+            send(response, 204);
+        } else if (pathname !== '/data') {
+            send(response, 404, { error: 'Not found.' });
+        } else if (request.method === 'GET') {
+            send(response, 200, store);
+        } else if (request.method === 'PUT') {
+            await handlePut(request, response);
+        } else if (request.method === 'DELETE') {
+            await handleDelete(request, response);
+        } else {
+            send(response, 405, { error: 'Method not allowed.' });
+        }
+    } catch (error) {
+        send(response, 400, { error: error.message });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Sync server listening on http://localhost:${port}, storing data in ${file}`);
+});
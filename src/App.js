@@ -1,45 +1,57 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { DndProvider } from 'react-dnd';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { DndProvider, useDrag, useDrop } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
+import { applyManualMove, buildSchedule, recordTaskEvent, replanFromNow, describeRun, describeSetup, partsPerRunOf, runMinutesOf, scrapCountOf, taskParts, fitsOnBed, setupKeyOf, LASER_TYPES, PRIORITY_LEVELS, PRIORITY_RULES } from './scheduler';
+import { emptyCalendar, toDateString } from './calendar';
+import { applyItemsImport, applyOrdersImport, itemsToCsv, machineScheduleToCsv, parseItemsCsv, parseOrdersCsv } from './csv';
+import { addOrMergeOrder, createOrderId, isScheduleStale, mergeCandidates, mergeOrders, pricedFromItem, repriceOrder, snapshotDiff, splitOrder } from './orders';
+import { applyCosting, costBreakdown, describeMaterial, marginOf, materialFor } from './costing';
+import { belowReorderPoint, consumeStock, isBelowReorderPoint } from './inventory';
+import { archiveSchedule, cumulativeMissedProfit, itemPerformance, machineUtilization, producedMaterialUse, profitByDay, profitByWeek, refineBuildTime } from './analytics';
+import { describeScenario, emptyScenario, runScenario, scenarioScheduleSettings } from './scenarios';
+import { scheduleToIcs } from './ical';
+import { estimateBuildTime, readCutFile, reestimateItems, savedCutFile, DEFAULT_LINE_INTERVAL } from './cutFile';
+import { canRedo, canUndo, createUndoState, recordChange, amendChange, redoChange, undoChange } from './undo';
+import { defaultData, fromBackup, mergeData, toBackup, validateData } from './dataSchema';
+import { createStorage, loadStorageConfig, normalizeData, saveStorageConfig, STORAGE_BACKENDS } from './storage';
+
+// --- Storage ---
+// The backend chosen under Settings > Storage; local storage by default
+const storage = createStorage();
+
+// --- Formatting Helpers ---
+const formatTime = (minutesFromStart, startHour) => {
+    const totalMinutes = (startHour * 60) + minutesFromStart;
+    const hours = Math.floor(totalMinutes / 60) % 24;
+    const mins = Math.round(totalMinutes % 60);
+    const period = hours >= 12 ? 'PM' : 'AM';
+    let displayHour = hours % 12;
+    if (displayHour === 0) displayHour = 12;
+    const displayMins = mins < 10 ? `0${mins}` : mins;
+    return `${displayHour}:${displayMins} ${period}`;
+};
 
-// --- Local Storage Utility ---
-const LOCAL_STORAGE_KEY = 'laserAppProductionData';
-
-const storage = {
-  load: () => {
-    try {
-      const storedData = localStorage.getItem(LOCAL_STORAGE_KEY);
-      if (storedData) {
-        return JSON.parse(storedData);
-      }
-    } catch (error) {
-      console.error("Error loading data from local storage:", error);
-    }
-    // Return default structure if nothing is stored or an error occurs
-    return {
-      items: [],
-      machines: [{ id: 'default-machine-1', name: 'Laser Cutter' }], // Start with one machine
-      orders: [],
-      schedule: null,
-      settings: { workHours: 8, workdayStartHour: 9 },
-    };
-  },
-  save: (data) => {
-    try {
-      localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(data));
-    } catch (error) {
-      console.error("Error saving data to local storage:", error);
-    }
-  },
-  clear: () => {
-    try {
-      localStorage.removeItem(LOCAL_STORAGE_KEY);
-    } catch (error) {
-      console.error("Error clearing data from local storage:", error);
-    }
-  }
+// --- File Helpers ---
+// Offers text content to the user as a file download.
+const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
 };
 
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+});
+
 // --- Helper Components ---
 const Icon = ({ path, className = "w-6 h-6" }) => (
     <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className={className}>
@@ -91,26 +103,226 @@ const ConfirmationModal = ({ message, onConfirm, onCancel }) => (
     </Modal>
 );
 
+// Notice after a change that can be taken back, with an Undo button. It
+// closes by itself after a few seconds.
+const UndoToast = ({ message, onUndo, onClose }) => {
+    useEffect(() => {
+        const timer = setTimeout(onClose, 6000);
+        return () => clearTimeout(timer);
+    }, [message, onClose]);
+
+    return (
+        <div className="fixed bottom-20 md:bottom-6 left-1/2 -translate-x-1/2 z-50 bg-gray-700 border border-gray-600 rounded-lg shadow-2xl px-4 py-3 flex items-center gap-4">
+            <span className="text-sm">{message}</span>
+            <button onClick={onUndo} className="text-sm font-bold text-indigo-300 hover:text-indigo-200">Undo</button>
+            <button onClick={onClose} className="text-gray-400 hover:text-white"><Icon path="M6 18L18 6M6 6l12 12" className="w-4 h-4" /></button>
+        </div>
+    );
+};
+
+// Footer line for each state a syncing storage backend reports
+const SYNC_STATUS = {
+    synced: { label: 'Synced with the server', className: 'text-green-500' },
+    pending: { label: 'Saving to the server…', className: 'text-gray-400' },
+    offline: { label: 'Server unreachable: changes are kept on this device and sent when it is back', className: 'text-yellow-400' },
+    conflict: { label: 'Sync conflict: another device changed the data', className: 'text-red-400' },
+};
+
+const countsOf = (data) => `${data.items.length} items, ${data.machines.length} machines, ${data.orders.length} orders`;
+
+// Asks what to do when another device saved while this one had unsent changes.
+const SyncConflictModal = ({ conflict, local, onResolve }) => (
+    <Modal onClose={() => {}} showCloseButton={false}>
+        <h3 className="text-xl font-bold text-white mb-4">Sync Conflict</h3>
+        <p className="text-gray-300 mb-2">
+            Another device saved changes{conflict.updatedAt && ` at ${new Date(conflict.updatedAt).toLocaleString()}`} while this one had changes that were not sent yet.
+        </p>
+        <ul className="text-sm text-gray-400 mb-4 list-disc list-inside">
+            <li>This device: {countsOf(local)}</li>
+            <li>Server: {countsOf(conflict.remote)}</li>
+        </ul>
+        <p className="text-gray-400 text-sm mb-6">
+            Merge keeps both, taking this device's version of anything changed on both, along with its settings and schedule. Anything deleted on only one side comes back, so delete it again after merging. Keep Mine overwrites the server; Use Server's discards the changes made here.
+        </p>
+        <div className="flex justify-end gap-3">
+            <button onClick={() => onResolve('theirs')} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg">Use Server's</button>
+            <button onClick={() => onResolve('mine')} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg">Keep Mine</button>
+            <button onClick={() => onResolve('merge')} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg">Merge</button>
+        </div>
+    </Modal>
+);
+
+// Text fields keep the browser's own undo for what is being typed
+const isEditingText = (target) => target.isContentEditable
+    || target.tagName === 'TEXTAREA'
+    || (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'file'].includes(target.type));
+
+// Preview of a CSV import: every row with its problems, so the user can fix
+// the file or import just the rows without errors.
+const CsvImportPreview = ({ title, fileName, result, describeRow, onConfirm, onClose }) => {
+    const validRows = result.rows.filter(row => row.errors.length === 0);
+    const rowsWithErrors = result.rows.length - validRows.length;
+    return (
+        <Modal onClose={onClose}>
+            <h3 className="text-2xl font-bold text-white mb-2">{title}</h3>
+            <p className="text-gray-400 mb-4">
+                {fileName}: {result.rows.length} row(s), {validRows.length} ready to import
+                {rowsWithErrors > 0 && <span className="text-red-400">, {rowsWithErrors} with errors will be skipped</span>}.
+            </p>
+            {result.columnErrors.map(error => <p key={error} className="text-red-400 mb-2">{error}</p>)}
+            {result.rows.length > 0 && (
+                <div className="max-h-96 overflow-y-auto mb-6">
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="border-b border-gray-700">
+                                <th className="p-2">Line</th>
+                                <th className="p-2">Row</th>
+                                <th className="p-2">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.rows.map(row => (
+                                <tr key={row.line} className={`border-b border-gray-700/50 ${row.errors.length > 0 ? 'bg-red-500/10' : row.warnings.length > 0 ? 'bg-yellow-500/10' : ''}`}>
+                                    <td className="p-2 text-gray-400">{row.line}</td>
+                                    <td className="p-2">{describeRow(row)}</td>
+                                    <td className="p-2">
+                                        {row.errors.map(error => <p key={error} className="text-red-400">{error}</p>)}
+                                        {row.warnings.map(warning => <p key={warning} className="text-yellow-400">{warning}</p>)}
+                                        {row.errors.length === 0 && row.warnings.length === 0 && <p className="text-green-400">OK</p>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            <div className="flex justify-end gap-4">
+                <button onClick={onClose} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-6 rounded-lg">Cancel</button>
+                <button onClick={onConfirm} disabled={validRows.length === 0} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg disabled:bg-gray-500 disabled:cursor-not-allowed">
+                    Import {validRows.length} Row(s)
+                </button>
+            </div>
+        </Modal>
+    );
+};
+
 
 // --- Main App Component ---
 function App() {
     const [activeTab, setActiveTab] = useState('Daily Planner');
-    const [data, setData] = useState(storage.load());
+    const [undoState, setUndoState] = useState(() => createUndoState(defaultData()));
+    const [loaded, setLoaded] = useState(false);
+    const [syncStatus, setSyncStatus] = useState(null);
+    const [toast, setToast] = useState(null);
+    const stepOpen = useRef(false);
+    // The data as last loaded from or saved to storage, so it isn't saved back
+    const storedData = useRef(null);
+    const data = undoState.present;
+
+    // Load once from the storage backend. A backend that syncs between devices
+    // also reports its status and brings in other devices' saves; those replace
+    // the data and the undo history with it.
+    useEffect(() => {
+        const showStored = (stored) => {
+            storedData.current = stored;
+            setUndoState(createUndoState(stored));
+        };
+        const stopSync = storage.sync?.({ onStatus: setSyncStatus, onRemoteData: showStored });
+        storage.load()
+            .then(normalizeData)
+            .catch(error => {
+                console.error("Error loading saved data:", error);
+                return defaultData();
+            })
+            .then(stored => {
+                showStored(stored);
+                setLoaded(true);
+            });
+        return stopSync;
+    }, []);
+
+    // Every update made while handling one user action is a single undo step,
+    // so e.g. deleting a machine and reassigning its items is undone together.
+    // A label marks the step as destructive and offers Undo in a toast.
+    const setData = (update, undoLabel = null) => {
+        const startsStep = !stepOpen.current;
+        if (startsStep) {
+            stepOpen.current = true;
+            setTimeout(() => { stepOpen.current = false; }, 0);
+        }
+        setUndoState(state => (startsStep
+            ? recordChange(state, update(state.present), undoLabel)
+            : amendChange(state, update(state.present), undoLabel)));
+        if (undoLabel) setToast({ id: Date.now(), message: undoLabel });
+    };
 
-    // Persist data to local storage whenever it changes
+    const handleUndo = () => {
+        setUndoState(undoChange);
+        setToast(null);
+    };
+    const handleRedo = () => setUndoState(redoChange);
+    const closeToast = useCallback(() => setToast(null), []);
+
+    // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd on macOS
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || isEditingText(e.target)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                setUndoState(key === 'y' || e.shiftKey ? redoChange : undoChange);
+                setToast(null);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    // Persist data whenever it changes
     useEffect(() => {
-        storage.save(data);
-    }, [data]);
+        if (!loaded || data === storedData.current) return;
+        storedData.current = data;
+        storage.save(data).catch(error => console.error("Error saving data:", error));
+    }, [data, loaded]);
+
+    const handleResolveConflict = async (choice) => {
+        const resolved = await storage.resolveConflict(choice, data);
+        if (resolved !== data) {
+            storedData.current = resolved;
+            setUndoState(createUndoState(resolved));
+        }
+    };
 
     // Handlers to update state from child components
-    const handleSetItems = (newItems) => setData(prev => ({ ...prev, items: newItems }));
-    const handleSetMachines = (newMachines) => setData(prev => ({ ...prev, machines: newMachines }));
-    const handleSetOrders = (newOrders) => setData(prev => ({ ...prev, orders: newOrders, schedule: null })); // Invalidate schedule on order change
+    // Itemized costs follow material prices and the labor rate, so items are re-costed whenever any of them change
+    // An undo label names a destructive change for the Undo toast
+    const handleSetItems = (newItems, undoLabel) => setData(prev => ({ ...prev, items: applyCosting(newItems, prev.materials, prev.settings) }), undoLabel);
+    const handleSetMaterials = (newMaterials, undoLabel) => setData(prev => ({ ...prev, materials: newMaterials, items: applyCosting(prev.items, newMaterials, prev.settings) }), undoLabel);
+    const handleSetMachines = (newMachines, undoLabel) => setData(prev => ({ ...prev, machines: newMachines }), undoLabel);
+    // A schedule generated from other orders is kept and shown as stale until it is generated again
+    const handleSetOrders = (newOrders, undoLabel) => setData(prev => ({ ...prev, orders: newOrders }), undoLabel);
     const handleSetSchedule = (newSchedule) => setData(prev => ({ ...prev, schedule: newSchedule }));
-    const handleSetSettings = (newSettings) => setData(prev => ({ ...prev, settings: newSettings }));
+    // The material the schedule used comes off the shelf once it has been run, and the schedule goes into the history
+    const handleCompleteSchedule = (updatedMaterials) => setData(prev => {
+        const completedAt = new Date();
+        return {
+            ...prev,
+            materials: updatedMaterials,
+            history: [...(prev.history || []), archiveSchedule(prev.schedule, completedAt)],
+            schedule: { ...prev.schedule, completedAt: completedAt.toISOString() },
+        };
+    }, 'Schedule marked complete.');
+    const handleSetScenarios = (newScenarios, undoLabel) => setData(prev => ({ ...prev, scenarios: newScenarios }), undoLabel);
+    const handleSetSettings = (newSettings) => setData(prev => ({ ...prev, settings: newSettings, items: applyCosting(prev.items, prev.materials, newSettings) }));
+    // Imported data is already validated and migrated to the current schema
+    const handleImportData = (incoming, mode) => setData(
+        prev => (mode === 'merge' ? mergeData(prev, incoming) : { ...defaultData(), ...incoming }),
+        mode === 'merge' ? 'Backup merged.' : 'Data replaced by backup.',
+    );
 
-    const handleClearData = () => {
-        storage.clear();
+    // Rejects when the data could not be deleted, so Settings can say so
+    const handleClearData = async () => {
+        await storage.clear();
         window.location.reload(); // Easiest way to reset the app state
     };
 
@@ -119,40 +331,76 @@ function App() {
             case 'Daily Planner':
                 return <DailyPlanner
                             items={data.items}
+                            machines={data.machines}
                             orders={data.orders}
+                            materials={data.materials}
+                            settings={data.settings}
+                            schedule={data.schedule}
                             onSetOrders={handleSetOrders}
+                            onSetSettings={handleSetSettings}
                             onGenerateSchedule={handleSetSchedule}
                         />;
             case 'Item Library':
                 return <ItemLibrary
                             items={data.items}
                             machines={data.machines}
+                            materials={data.materials}
+                            settings={data.settings}
+                            history={data.history}
                             onSetItems={handleSetItems}
+                            onSetMaterials={handleSetMaterials}
                         />;
             case 'Machines':
                 return <MachineLibrary
                             machines={data.machines}
+                            items={data.items}
                             onSetMachines={handleSetMachines}
+                            onSetItems={handleSetItems}
                         />;
             case 'Schedule View':
                 return <ScheduleView
-                            scheduleOrders={data.schedule?.orders}
+                            schedule={data.schedule}
+                            orders={data.orders}
                             items={data.items}
                             machines={data.machines}
+                            materials={data.materials}
                             settings={data.settings}
+                            onUpdateSchedule={handleSetSchedule}
+                            onCompleteSchedule={handleCompleteSchedule}
+                        />;
+            case 'Scenarios':
+                return <Scenarios
+                            data={data}
+                            onSetScenarios={handleSetScenarios}
+                        />;
+            case 'Analytics':
+                return <Analytics
+                            history={data.history}
+                            items={data.items}
+                            onSetItems={handleSetItems}
                         />;
             case 'Settings':
                 return <Settings
+                            data={data}
                             settings={data.settings}
                             onSetSettings={handleSetSettings}
+                            onImportData={handleImportData}
                             onClearData={handleClearData}
                         />;
             default:
-                return <DailyPlanner items={data.items} orders={data.orders} onSetOrders={handleSetOrders} onGenerateSchedule={handleSetSchedule} />;
+                return <DailyPlanner items={data.items} machines={data.machines} orders={data.orders} materials={data.materials} settings={data.settings} schedule={data.schedule} onSetOrders={handleSetOrders} onSetSettings={handleSetSettings} onGenerateSchedule={handleSetSchedule} />;
         }
     };
 
-    const tabs = ['Daily Planner', 'Item Library', 'Machines', 'Schedule View', 'Settings'];
+    if (!loaded) {
+        return (
+            <div className="bg-gray-900 text-gray-400 min-h-screen flex items-center justify-center font-sans">
+                Loading data…
+            </div>
+        );
+    }
+
+    const tabs = ['Daily Planner', 'Item Library', 'Machines', 'Schedule View', 'Scenarios', 'Analytics', 'Settings'];
 
     return (
         <DndProvider backend={HTML5Backend}>
@@ -163,6 +411,14 @@ function App() {
                             <Icon path="M3.75 13.5l10.5-11.25L12 10.5h8.25L9.75 21.75 12 13.5H3.75z" className="w-8 h-8 text-indigo-400" />
                             <h1 className="text-2xl font-bold tracking-tight">Order Priority Calculator</h1>
                         </div>
+                        <div className="flex items-center gap-1 ml-auto mr-4">
+                            <button onClick={handleUndo} disabled={!canUndo(undoState)} title="Undo (Ctrl+Z)" className="p-2 rounded-md text-gray-300 hover:bg-gray-700 disabled:text-gray-600 disabled:hover:bg-transparent">
+                                <Icon path="M9 15L3 9m0 0l6-6M3 9h12a6 6 0 010 12h-3" className="w-5 h-5" />
+                            </button>
+                            <button onClick={handleRedo} disabled={!canRedo(undoState)} title="Redo (Ctrl+Shift+Z)" className="p-2 rounded-md text-gray-300 hover:bg-gray-700 disabled:text-gray-600 disabled:hover:bg-transparent">
+                                <Icon path="M15 15l6-6m0 0l-6-6m6 6H9a6 6 0 000 12h3" className="w-5 h-5" />
+                            </button>
+                        </div>
                         <div className="hidden md:flex items-center space-x-1 bg-gray-700/50 p-1 rounded-lg">
                             {tabs.map(tab => (
                                 <button
@@ -185,6 +441,7 @@ function App() {
 
                 <footer className="text-center p-4 text-xs text-gray-500 border-t border-gray-800">
                     <p>Shop Scheduler Dashboard</p>
+                    {syncStatus && <p className={SYNC_STATUS[syncStatus.state].className}>{SYNC_STATUS[syncStatus.state].label}</p>}
                 </footer>
 
                  <div className="md:hidden fixed bottom-0 left-0 right-0 bg-gray-800 border-t border-gray-700 p-2 flex justify-around z-40">
@@ -198,6 +455,8 @@ function App() {
                         </button>
                     ))}
                 </div>
+                {syncStatus?.state === 'conflict' && <SyncConflictModal conflict={syncStatus} local={data} onResolve={handleResolveConflict} />}
+                {toast && <UndoToast key={toast.id} message={toast.message} onUndo={handleUndo} onClose={closeToast} />}
             </div>
         </DndProvider>
     );
@@ -205,12 +464,17 @@ function App() {
 
 
 // --- Item Library Component ---
-function ItemLibrary({ items, machines, onSetItems }) {
+function ItemLibrary({ items, machines, materials, settings, history = [], onSetItems, onSetMaterials }) {
     const [isFormModalOpen, setIsFormModalOpen] = useState(false);
     const [editingItem, setEditingItem] = useState(null);
     const [showConfirmModal, setShowConfirmModal] = useState(false);
     const [itemToDelete, setItemToDelete] = useState(null);
     const [alertInfo, setAlertInfo] = useState({ show: false, message: '' });
+    const [csvImport, setCsvImport] = useState(null);
+    // Average build times recorded on the shop floor, by item
+    const actuals = useMemo(() => Object.fromEntries(itemPerformance(history)
+        .filter(performance => performance.actualBuildTime !== null)
+        .map(performance => [performance.itemId, performance])), [history]);
 
     const handleSaveItem = (itemData) => {
         if (editingItem && editingItem.id) {
@@ -234,21 +498,59 @@ function ItemLibrary({ items, machines, onSetItems }) {
     const handleDeleteItem = () => {
         if (!itemToDelete) return;
         const updatedItems = items.filter(i => i.id !== itemToDelete);
-        onSetItems(updatedItems);
+        onSetItems(updatedItems, `Deleted item "${items.find(i => i.id === itemToDelete)?.name}".`);
         setShowConfirmModal(false);
         setItemToDelete(null);
     };
 
+    const machineNames = (machineIds = []) => machineIds
+        .map(id => machines.find(m => m.id === id)?.name)
+        .filter(Boolean)
+        .join(', ');
+
+    // An item is flagged when every allowed machine has a known bed and none can hold the part
+    const exceedsAllBeds = (item) => {
+        const allowed = machines.filter(m => item.allowedMachines?.includes(m.id));
+        return allowed.length > 0 && allowed.every(m => !fitsOnBed(item, m));
+    };
+
     const openModalForEdit = (item) => {
         setEditingItem(item);
         setIsFormModalOpen(true);
     };
 
+    const handleImportCsv = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setCsvImport({ fileName: file.name, result: parseItemsCsv(await readFileAsText(file), { items, machines }) });
+        } catch (error) {
+            setAlertInfo({ show: true, message: `${file.name} could not be read: ${error.message}` });
+        }
+    };
+
+    const handleConfirmCsvImport = () => {
+        onSetItems(applyItemsImport(items, csvImport.result.rows), `Imported items from ${csvImport.fileName}.`);
+        setCsvImport(null);
+    };
+
+    const handleExportCsv = () => {
+        downloadFile(`items-${toDateString(new Date())}.csv`, itemsToCsv(items, machines), 'text/csv');
+    };
+
     return (
         <div className="space-y-6">
             <div className="flex justify-between items-center">
                 <h2 className="text-3xl font-bold">Item Library</h2>
                 <div className="flex gap-2">
+                    <label className="cursor-pointer bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition-transform transform hover:scale-105">
+                        Import CSV
+                        <input type="file" accept=".csv,text/csv" onChange={handleImportCsv} className="hidden" />
+                    </label>
+                    <button onClick={handleExportCsv} disabled={items.length === 0} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition-transform transform hover:scale-105 disabled:bg-gray-500 disabled:cursor-not-allowed">
+                        Export CSV
+                    </button>
                     <button onClick={() => { setEditingItem(null); setIsFormModalOpen(true); }} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg flex items-center space-x-2 transition-transform transform hover:scale-105">
                         <Icon path="M12 4.5v15m7.5-7.5h-15" />
                         <span>Add Item</span>
@@ -261,7 +563,10 @@ function ItemLibrary({ items, machines, onSetItems }) {
                         <tr className="border-b border-gray-700">
                             <th className="p-3">Name</th>
                             <th className="p-3">Build Time (min)</th>
+                            <th className="p-3">Cost ($)</th>
                             <th className="p-3">Profit ($)</th>
+                            <th className="p-3">Margin</th>
+                            <th className="p-3">Setup</th>
                             <th className="p-3">Allowed Machines</th>
                             <th className="p-3">Actions</th>
                         </tr>
@@ -270,49 +575,263 @@ function ItemLibrary({ items, machines, onSetItems }) {
                         {items.length > 0 ? items.map(item => (
                             <tr key={item.id} className="border-b border-gray-700/50 hover:bg-gray-700/30">
                                 <td className="p-3 font-medium">{item.name}</td>
-                                <td className="p-3">{item.buildTime}</td>
+                                <td className="p-3">
+                                    {item.buildTime}
+                                    {item.cutFile && item.buildTimeFromFile && <p className="text-xs text-gray-400" title={item.cutFile.name}>From cut file</p>}
+                                    {partsPerRunOf(item) > 1 && <p className="text-xs text-gray-400">{partsPerRunOf(item)} per run · {runMinutesOf(item)} min</p>}
+                                    {actuals[item.id] && Math.abs(actuals[item.id].actualBuildTime - parseFloat(item.buildTime)) >= 0.05 && (
+                                        <p className="text-xs text-gray-400">
+                                            Actual {actuals[item.id].actualBuildTime.toFixed(1)} ({actuals[item.id].actualSamples} runs) ·{' '}
+                                            <button onClick={() => onSetItems(refineBuildTime(items, item.id, actuals[item.id].actualBuildTime))} className="text-indigo-400 hover:text-indigo-300">Use</button>
+                                        </p>
+                                    )}
+                                </td>
+                                <td className="p-3">
+                                    ${parseFloat(item.cost || 0).toFixed(2)}
+                                    {item.costModel && (
+                                        <p className="text-xs text-gray-400">
+                                            Itemized
+                                            {costBreakdown(item, materials, settings).missingMaterialPrice && <span className="text-yellow-400"> · no sheet price</span>}
+                                        </p>
+                                    )}
+                                </td>
                                 <td className="p-3 text-green-400">${(parseFloat(item.price || 0) - parseFloat(item.cost || 0)).toFixed(2)}</td>
-                                <td className="p-3">{item.allowedMachines?.join(', ')}</td>
+                                <td className={`p-3 ${marginOf(item) !== null && marginOf(item) < 0 ? 'text-red-400' : ''}`}>
+                                    {marginOf(item) === null ? <span className="text-gray-500">—</span> : `${(marginOf(item) * 100).toFixed(0)}%`}
+                                </td>
+                                <td className="p-3">
+                                    {setupKeyOf(item) ? describeSetup(setupKeyOf(item), items) : <span className="text-gray-500">—</span>}
+                                    {parseFloat(item.setupTime) > 0 && <span className="text-gray-400"> · {item.setupTime} min</span>}
+                                </td>
+                                <td className="p-3">
+                                    {machineNames(item.allowedMachines)}
+                                    {exceedsAllBeds(item) && (
+                                        <p className="text-sm text-yellow-400 flex items-center gap-1">
+                                            <Icon path="M12 9v3.75m9-.75a9 9 0 11-18 0 9 9 0 0118 0zm-9 3.75h.008v.008H12v-.008z" className="w-4 h-4" />
+                                            Part ({item.partWidth}×{item.partHeight}mm) is larger than every allowed machine's bed
+                                        </p>
+                                    )}
+                                </td>
                                 <td className="p-3 flex space-x-2">
                                     <button onClick={() => openModalForEdit(item)} className="text-gray-400 hover:text-indigo-400"><Icon path="M16.862 4.487l1.687-1.688a1.875 1.875 0 112.652 2.652L6.832 19.82a4.5 4.5 0 01-1.897 1.13l-2.685.8.8-2.685a4.5 4.5 0 011.13-1.897L16.863 4.487zm0 0L19.5 7.125" /></button>
                                     <button onClick={() => confirmDeleteItem(item.id)} className="text-gray-400 hover:text-red-500"><Icon path="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052.682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059.68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0" /></button>
                                 </td>
                             </tr>
                         )) : (
-                            <tr><td colSpan="5" className="p-4 text-center text-gray-500">No items in library. Add one to get started.</td></tr>
+                            <tr><td colSpan="8" className="p-4 text-center text-gray-500">No items in library. Add one to get started.</td></tr>
                         )}
                     </tbody>
                 </table>
             </div>
-            {isFormModalOpen && <ItemForm onClose={() => setIsFormModalOpen(false)} onSave={handleSaveItem} item={editingItem} machines={machines} />}
+            <MaterialInventory materials={materials} items={items} onSetMaterials={onSetMaterials} />
+            {isFormModalOpen && <ItemForm onClose={() => setIsFormModalOpen(false)} onSave={handleSaveItem} item={editingItem} items={items} machines={machines} materials={materials} settings={settings} />}
             {showConfirmModal && <ConfirmationModal message="Are you sure you want to delete this item?" onConfirm={handleDeleteItem} onCancel={() => setShowConfirmModal(false)} />}
+            {csvImport && (
+                <CsvImportPreview
+                    title="Import Items"
+                    fileName={csvImport.fileName}
+                    result={csvImport.result}
+                    describeRow={row => `${row.values.name || '—'} · ${row.values.buildTime} min · $${row.values.price} / $${row.values.cost} · ${row.values.allowedMachines}`}
+                    onConfirm={handleConfirmCsvImport}
+                    onClose={() => setCsvImport(null)}
+                />
+            )}
             {alertInfo.show && <AlertModal message={alertInfo.message} onClose={() => setAlertInfo({ show: false, message: '' })} />}
         </div>
     );
 }
 
-function ItemForm({ onClose, onSave, item, machines }) {
+// Sheet prices and stock levels, one entry per material and thickness.
+function MaterialInventory({ materials, items, onSetMaterials }) {
+    const [newMaterial, setNewMaterial] = useState({ name: '', thickness: '', sheetPrice: '' });
+    const [alertMessage, setAlertMessage] = useState('');
+
+    const usedBy = (material) => items.filter(item => materialFor(item, [material]) || item.materialUsage?.some(use => use.materialId === material.id)).length;
+
+    // Materials items are cut from that have no entry yet
+    const unlisted = useMemo(() => {
+        const seen = new Set();
+        return items
+            .filter(item => item.material && !materialFor(item, materials))
+            .map(item => ({ name: item.material.trim(), thickness: item.thickness || '' }))
+            .filter(material => {
+                const key = `${material.name.toLowerCase()}|${parseFloat(material.thickness) || 0}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }, [items, materials]);
+
+    const handleAddMaterial = (e) => {
+        e.preventDefault();
+        const name = newMaterial.name.trim();
+        if (!name || newMaterial.sheetPrice === '' || parseFloat(newMaterial.sheetPrice) < 0) {
+            setAlertMessage('Enter a material name and a sheet price.');
+            return;
+        }
+        if (materialFor({ material: name, thickness: newMaterial.thickness }, materials)) {
+            setAlertMessage(`${describeMaterial({ name, thickness: newMaterial.thickness })} is already in the list.`);
+            return;
+        }
+        onSetMaterials([...materials, { ...newMaterial, name, id: `material-${Date.now()}` }]);
+        setNewMaterial({ name: '', thickness: '', sheetPrice: '' });
+    };
+
+    const handleFieldChange = (id, field, value) => {
+        onSetMaterials(materials.map(material => material.id === id ? { ...material, [field]: value } : material));
+    };
+
+    const lowStock = belowReorderPoint(materials);
+
+    return (
+        <div className="bg-gray-800 rounded-xl p-4 space-y-4">
+            <div>
+                <h3 className="text-xl font-semibold">Materials &amp; Stock</h3>
+                <p className="text-sm text-gray-400">
+                    Changing a sheet price re-costs every itemized item cut from that material.
+                    Materials with a stock level limit what the scheduler plans; leave it empty to not track stock.
+                </p>
+            </div>
+            {lowStock.length > 0 && (
+                <p className="text-sm text-red-400">Below reorder point: {lowStock.map(describeMaterial).join(', ')}</p>
+            )}
+            {materials.length > 0 && (
+                <table className="w-full text-left">
+                    <thead>
+                        <tr className="border-b border-gray-700">
+                            <th className="p-2">Material</th>
+                            <th className="p-2">Sheet Price ($)</th>
+                            <th className="p-2">Stock (sheets)</th>
+                            <th className="p-2">Reorder At</th>
+                            <th className="p-2">Used By</th>
+                            <th className="p-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {materials.map(material => (
+                            <tr key={material.id} className={`border-b border-gray-700/50 ${isBelowReorderPoint(material) ? 'bg-red-500/10' : ''}`}>
+                                <td className="p-2 font-medium">{describeMaterial(material)}</td>
+                                <td className="p-2">
+                                    <input type="number" step="any" min="0" value={material.sheetPrice} onChange={e => handleFieldChange(material.id, 'sheetPrice', e.target.value)} className="w-28 bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                </td>
+                                <td className="p-2">
+                                    <input type="number" step="any" min="0" placeholder="Not tracked" value={material.stock ?? ''} onChange={e => handleFieldChange(material.id, 'stock', e.target.value)} className="w-28 bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                </td>
+                                <td className="p-2">
+                                    <input type="number" step="any" min="0" value={material.reorderPoint ?? ''} onChange={e => handleFieldChange(material.id, 'reorderPoint', e.target.value)} className="w-24 bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                </td>
+                                <td className="p-2 text-gray-400">{usedBy(material)} item(s)</td>
+                                <td className="p-2">
+                                    <button onClick={() => onSetMaterials(materials.filter(m => m.id !== material.id), `Deleted material "${describeMaterial(material)}".`)} className="text-gray-400 hover:text-red-500"><Icon path="M6 18L18 6M6 6l12 12" className="w-5 h-5" /></button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            <form onSubmit={handleAddMaterial} className="grid grid-cols-1 md:grid-cols-4 gap-2">
+                <input type="text" placeholder="Material" value={newMaterial.name} onChange={e => setNewMaterial({ ...newMaterial, name: e.target.value })} className="bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                <input type="number" step="any" min="0" placeholder="Thickness (mm)" value={newMaterial.thickness} onChange={e => setNewMaterial({ ...newMaterial, thickness: e.target.value })} className="bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                <input type="number" step="any" min="0" placeholder="Sheet Price ($)" value={newMaterial.sheetPrice} onChange={e => setNewMaterial({ ...newMaterial, sheetPrice: e.target.value })} className="bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg">Add Material</button>
+            </form>
+            {unlisted.length > 0 && (
+                <p className="text-sm text-yellow-400">
+                    No sheet price yet for:{' '}
+                    {unlisted.map((material, index) => (
+                        <React.Fragment key={describeMaterial(material)}>
+                            {index > 0 && ', '}
+                            <button onClick={() => setNewMaterial({ ...material, sheetPrice: '' })} className="underline hover:text-yellow-300">{describeMaterial(material)}</button>
+                        </React.Fragment>
+                    ))}
+                </p>
+            )}
+            {alertMessage && <AlertModal message={alertMessage} onClose={() => setAlertMessage('')} />}
+        </div>
+    );
+}
+
+function ItemForm({ onClose, onSave, item, items, machines, materials, settings }) {
     const [formData, setFormData] = useState({
         name: item?.name || '',
         buildTime: item?.buildTime || '',
         price: item?.price || '',
         cost: item?.cost || '',
+        material: item?.material || '',
+        thickness: item?.thickness || '',
+        setupTime: item?.setupTime || '',
+        partWidth: item?.partWidth || '',
+        partHeight: item?.partHeight || '',
+        partsPerRun: item?.partsPerRun || '',
+        minutesPerRun: item?.minutesPerRun || '',
+        notes: item?.notes || '',
+        cutFile: item?.cutFile || null,
+        buildTimeFromFile: item?.buildTimeFromFile || false,
         allowedMachines: item?.allowedMachines || [],
+        costModel: item?.costModel || null,
+        materialUsage: item?.materialUsage || [],
     });
+    // Cost of the part as itemized in the form, when it is itemized
+    const breakdown = formData.costModel ? costBreakdown(formData, materials, settings) : null;
+    const knownMaterials = [...new Set(items.map(i => i.material).filter(Boolean))];
     const [alertMessage, setAlertMessage] = useState('');
+    const estimate = formData.cutFile ? estimateBuildTime(formData.cutFile, machines, formData.allowedMachines) : null;
+
+    // A build time taken from the cut file follows the file and the allowed machines
+    useEffect(() => {
+        if (formData.buildTimeFromFile && estimate?.buildTime) {
+            setFormData(prev => (prev.buildTime === estimate.buildTime ? prev : { ...prev, buildTime: estimate.buildTime }));
+        }
+    }, [formData.buildTimeFromFile, estimate?.buildTime]);
+
+    const handleCutFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const cutFile = readCutFile(file.name, await readFileAsText(file));
+            // The file's size fills in a part size that isn't set yet
+            setFormData(prev => ({
+                ...prev,
+                cutFile,
+                buildTimeFromFile: true,
+                partWidth: prev.partWidth || String(cutFile.width),
+                partHeight: prev.partHeight || String(cutFile.height),
+            }));
+        } catch (error) {
+            setAlertMessage(`${file.name} could not be read: ${error.message}`);
+        }
+    };
 
-    const handleMachineToggle = (machineName) => {
+    const handleMachineToggle = (machineId) => {
         setFormData(prev => ({
             ...prev,
-            allowedMachines: prev.allowedMachines.includes(machineName)
-                ? prev.allowedMachines.filter(m => m !== machineName)
-                : [...prev.allowedMachines, machineName]
+            allowedMachines: prev.allowedMachines.includes(machineId)
+                ? prev.allowedMachines.filter(m => m !== machineId)
+                : [...prev.allowedMachines, machineId]
         }));
     };
 
+    const handleAddUsage = () => {
+        // Start from the item's own material, at its parts-per-sheet yield when it is itemized
+        const ownMaterial = materialFor(formData, materials);
+        const partsPerSheet = parseFloat(formData.costModel?.partsPerSheet);
+        const materialId = ownMaterial && !formData.materialUsage.some(use => use.materialId === ownMaterial.id) ? ownMaterial.id : materials[0].id;
+        const perPart = materialId === ownMaterial?.id && partsPerSheet > 0 ? String(1 / partsPerSheet) : '';
+        setFormData(prev => ({ ...prev, materialUsage: [...prev.materialUsage, { materialId, perPart }] }));
+    };
+
+    const handleUsageChange = (index, field, value) => {
+        setFormData(prev => ({ ...prev, materialUsage: prev.materialUsage.map((use, i) => (i === index ? { ...use, [field]: value } : use)) }));
+    };
+
+    const handleCostModelChange = (field, value) => {
+        setFormData(prev => ({ ...prev, costModel: { ...prev.costModel, [field]: value } }));
+    };
+
     const handleSubmit = (e) => {
         e.preventDefault();
-        if (!formData.name || !formData.buildTime || !formData.price || !formData.cost) {
+        if (!formData.name || !formData.buildTime || !formData.price || (!breakdown && !formData.cost)) {
             setAlertMessage("Please fill out all fields.");
             return;
         }
@@ -320,7 +839,8 @@ function ItemForm({ onClose, onSave, item, machines }) {
             setAlertMessage("Please select at least one machine for this item.");
             return;
         }
-        onSave(formData);
+        const saved = { ...formData, cutFile: formData.cutFile && savedCutFile(formData.cutFile) };
+        onSave(breakdown ? { ...saved, cost: breakdown.total.toFixed(2) } : saved);
     };
 
     return (
@@ -330,9 +850,124 @@ function ItemForm({ onClose, onSave, item, machines }) {
                     <h3 className="text-2xl font-bold text-white mt-6">{item?.id ? 'Edit Item' : 'Add New Item'}</h3>
                     <input type="text" placeholder="Item Name" value={formData.name} onChange={e => setFormData({...formData, name: e.target.value})} required className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                        <input type="number" step="any" placeholder="Build Time (min)" value={formData.buildTime} onChange={e => setFormData({...formData, buildTime: e.target.value})} required className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                        <input type="number" step="any" placeholder="Build Time (min)" value={formData.buildTime} onChange={e => setFormData({...formData, buildTime: e.target.value, buildTimeFromFile: false})} required className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
                         <input type="number" step="any" placeholder="Price ($)" value={formData.price} onChange={e => setFormData({...formData, price: e.target.value})} required className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
-                        <input type="number" step="any" placeholder="Cost ($)" value={formData.cost} onChange={e => setFormData({...formData, cost: e.target.value})} required className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                        {breakdown ? (
+                            <div className="w-full bg-gray-900/40 p-3 rounded-lg border border-gray-700 text-gray-300">Cost ${breakdown.total.toFixed(2)}</div>
+                        ) : (
+                            <input type="number" step="any" placeholder="Cost ($)" value={formData.cost} onChange={e => setFormData({...formData, cost: e.target.value})} required className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                        )}
+                    </div>
+                    <div>
+                        <label className="flex items-center gap-3 text-sm text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(formData.costModel)}
+                                onChange={e => setFormData({ ...formData, costModel: e.target.checked ? { partsPerSheet: '', consumables: '', packaging: '', laborMinutes: '' } : null })}
+                                className="w-4 h-4 accent-indigo-600"
+                            />
+                            Itemize the cost from material, consumables, packaging and labor
+                        </label>
+                        {breakdown && (
+                            <div className="mt-3 space-y-3">
+                                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                                    <input type="number" step="any" min="1" placeholder="Parts per Sheet" value={formData.costModel.partsPerSheet} onChange={e => handleCostModelChange('partsPerSheet', e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                    <input type="number" step="any" min="0" placeholder="Consumables ($)" value={formData.costModel.consumables} onChange={e => handleCostModelChange('consumables', e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                    <input type="number" step="any" min="0" placeholder="Packaging ($)" value={formData.costModel.packaging} onChange={e => handleCostModelChange('packaging', e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                    <input type="number" step="any" min="0" placeholder="Labor (min)" value={formData.costModel.laborMinutes} onChange={e => handleCostModelChange('laborMinutes', e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                </div>
+                                <p className="text-sm text-gray-400">
+                                    Material ${breakdown.material.toFixed(2)} + consumables ${breakdown.consumables.toFixed(2)} + packaging ${breakdown.packaging.toFixed(2)} + labor ${breakdown.labor.toFixed(2)}
+                                    {' '}(at ${parseFloat(settings.laborRate || 0).toFixed(2)}/h)
+                                    {parseFloat(formData.price) > 0 && ` · margin ${(((parseFloat(formData.price) - breakdown.total) / parseFloat(formData.price)) * 100).toFixed(0)}%`}
+                                </p>
+                                {breakdown.missingMaterialPrice && (
+                                    <p className="text-sm text-yellow-400">There is no sheet price for this material yet; add it under Materials &amp; Stock.</p>
+                                )}
+                                {!formData.material && (
+                                    <p className="text-sm text-gray-400">Set the material below to include its sheet price.</p>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                    <div>
+                        <div className="flex justify-between items-center mb-2">
+                            <h4 className="font-semibold">Cut File</h4>
+                            <div className="flex gap-3 text-sm">
+                                <label className="cursor-pointer text-indigo-300 hover:text-indigo-200">
+                                    {formData.cutFile ? 'Replace' : 'Upload SVG or DXF'}
+                                    <input type="file" accept=".svg,.dxf,image/svg+xml" onChange={handleCutFile} className="hidden" />
+                                </label>
+                                {formData.cutFile && (
+                                    <button type="button" onClick={() => setFormData(prev => ({ ...prev, cutFile: null, buildTimeFromFile: false }))} className="text-gray-400 hover:text-red-400">Remove</button>
+                                )}
+                            </div>
+                        </div>
+                        {formData.cutFile ? (
+                            <CutFileSummary cutFile={formData.cutFile} estimate={estimate} />
+                        ) : (
+                            <p className="text-xs text-gray-400">Attach the part's cut file to estimate its build time from the cut length, engrave area and pierces at each allowed machine's speeds.</p>
+                        )}
+                        {formData.cutFile && (
+                            <label className="flex items-center gap-3 text-sm text-gray-300 mt-3">
+                                <input
+                                    type="checkbox"
+                                    checked={formData.buildTimeFromFile}
+                                    onChange={e => setFormData({ ...formData, buildTimeFromFile: e.target.checked })}
+                                    className="w-4 h-4 accent-indigo-600"
+                                />
+                                Use the estimate as the build time, and update it when machine speeds change
+                            </label>
+                        )}
+                    </div>
+                    {materials.length > 0 && (
+                        <div>
+                            <h4 className="font-semibold mb-2">Material Usage</h4>
+                            <div className="space-y-2">
+                                {formData.materialUsage.map((use, index) => (
+                                    <div key={index} className="flex gap-2">
+                                        <select value={use.materialId} onChange={e => handleUsageChange(index, 'materialId', e.target.value)} className="flex-grow bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                                            {materials.map(material => <option key={material.id} value={material.id}>{describeMaterial(material)}</option>)}
+                                        </select>
+                                        <input type="number" step="any" min="0" placeholder="Sheets per part" value={use.perPart} onChange={e => handleUsageChange(index, 'perPart', e.target.value)} className="w-40 bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                        <button type="button" onClick={() => setFormData(prev => ({ ...prev, materialUsage: prev.materialUsage.filter((_, i) => i !== index) }))} className="text-gray-400 hover:text-red-500 px-2"><Icon path="M6 18L18 6M6 6l12 12" className="w-5 h-5" /></button>
+                                    </div>
+                                ))}
+                                <button type="button" onClick={handleAddUsage} className="text-sm text-indigo-300 hover:text-indigo-200">+ Add material</button>
+                            </div>
+                            <p className="text-xs text-gray-400 mt-2">Sheets one part uses, e.g. 0.25 when four parts fit on a sheet. Only materials with a stock level limit scheduling.</p>
+                        </div>
+                    )}
+                    <div>
+                        <h4 className="font-semibold mb-2">Machine Setup</h4>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <input type="text" list="known-materials" placeholder="Material" value={formData.material} onChange={e => setFormData({...formData, material: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                            <datalist id="known-materials">
+                                {knownMaterials.map(material => <option key={material} value={material} />)}
+                            </datalist>
+                            <input type="number" step="any" min="0" placeholder="Thickness (mm)" value={formData.thickness} onChange={e => setFormData({...formData, thickness: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                            <input type="number" step="any" min="0" placeholder="Setup Time (min)" value={formData.setupTime} onChange={e => setFormData({...formData, setupTime: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                        </div>
+                        <p className="text-xs text-gray-400 mt-2">Setup time is added when a machine switches to this material and thickness from a different one.</p>
+                    </div>
+                    <div>
+                        <h4 className="font-semibold mb-2">Part Size</h4>
+                        <div className="grid grid-cols-2 gap-4">
+                            <input type="number" step="any" min="0" placeholder="Width (mm)" value={formData.partWidth} onChange={e => setFormData({...formData, partWidth: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                            <input type="number" step="any" min="0" placeholder="Height (mm)" value={formData.partHeight} onChange={e => setFormData({...formData, partHeight: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                        </div>
+                    </div>
+                    <div>
+                        <h4 className="font-semibold mb-2">Batch Runs</h4>
+                        <div className="grid grid-cols-2 gap-4">
+                            <input type="number" step="1" min="1" placeholder="Parts per run" value={formData.partsPerRun} onChange={e => setFormData({...formData, partsPerRun: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                            <input type="number" step="any" min="0" placeholder={formData.buildTime && partsPerRunOf(formData) > 1 ? `Minutes per run (${runMinutesOf(formData)})` : 'Minutes per run'} value={formData.minutesPerRun} onChange={e => setFormData({...formData, minutesPerRun: e.target.value})} disabled={partsPerRunOf(formData) === 1} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50" />
+                        </div>
+                        <p className="text-xs text-gray-400 mt-2">For parts cut several to a bed, e.g. 12 coasters per sheet. Orders are planned as whole runs with a smaller last run; without a run time a run takes the build time for every part.</p>
+                    </div>
+                    <div>
+                        <h4 className="font-semibold mb-2">Operator Notes</h4>
+                        <textarea rows="2" placeholder="Printed on job sheets, e.g. file name, power/speed, masking" value={formData.notes} onChange={e => setFormData({...formData, notes: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
                     </div>
                     <div>
                         <h4 className="font-semibold mb-2">Allowed Machines</h4>
@@ -341,8 +976,8 @@ function ItemForm({ onClose, onSave, item, machines }) {
                                 <button
                                     type="button"
                                     key={m.id}
-                                    onClick={() => handleMachineToggle(m.name)}
-                                    className={`px-3 py-1.5 rounded-full text-sm font-semibold transition-all ${formData.allowedMachines.includes(m.name) ? 'bg-indigo-600 text-white' : 'bg-gray-600 text-gray-300 hover:bg-gray-500'}`}
+                                    onClick={() => handleMachineToggle(m.id)}
+                                    className={`px-3 py-1.5 rounded-full text-sm font-semibold transition-all ${formData.allowedMachines.includes(m.id) ? 'bg-indigo-600 text-white' : 'bg-gray-600 text-gray-300 hover:bg-gray-500'}`}
                                 >
                                     {m.name}
                                 </button>
@@ -357,14 +992,54 @@ function ItemForm({ onClose, onSave, item, machines }) {
     );
 }
 
-function MachineLibrary({ machines, onSetMachines }) {
+// Preview and measurements of an item's cut file, with the time each allowed
+// machine needs for it. Cut paths are drawn red, engraved areas grey. Saved
+// items keep a coarser preview than a file just uploaded.
+function CutFileSummary({ cutFile, estimate }) {
+    return (
+        <div className="flex gap-4 bg-gray-900/40 p-3 rounded-lg border border-gray-700">
+            {cutFile.preview ? (
+                <svg viewBox={cutFile.preview.viewBox} className="w-32 h-32 flex-shrink-0 bg-gray-900 rounded">
+                    <path d={cutFile.preview.engrave} fill="#6b7280" stroke="none" fillRule="evenodd" />
+                    <path d={cutFile.preview.cut} fill="none" stroke="#f87171" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+                </svg>
+            ) : (
+                <div className="w-32 h-32 flex-shrink-0 bg-gray-900 rounded flex items-center justify-center text-center text-xs text-gray-500 p-2">Re-upload the file to preview it</div>
+            )}
+            <div className="text-sm space-y-1 min-w-0">
+                <p className="font-medium truncate" title={cutFile.name}>{cutFile.name}</p>
+                <p className="text-gray-300">
+                    {cutFile.width}×{cutFile.height} mm · cut {(cutFile.cutLength / 1000).toFixed(2)} m · {cutFile.pierces} pierce{cutFile.pierces === 1 ? '' : 's'}
+                    {cutFile.engraveArea > 0 && ` · engrave ${(cutFile.engraveArea / 100).toFixed(1)} cm²`}
+                </p>
+                {cutFile.warnings.map(warning => <p key={warning} className="text-yellow-400">{warning}</p>)}
+                {estimate.perMachine.length === 0 && <p className="text-gray-400">Select the allowed machines below to estimate the build time.</p>}
+                {estimate.perMachine.map(machine => (
+                    <p key={machine.machineId} className="text-gray-400">
+                        {machine.name}: {machine.minutes === null ? 'set its cut and engrave speeds under Machines' : `${machine.minutes.toFixed(1)} min`}
+                    </p>
+                ))}
+                {estimate.buildTime && <p className="text-gray-300">Estimated build time {estimate.buildTime} min</p>}
+            </div>
+        </div>
+    );
+}
+
+function MachineLibrary({ machines, items, onSetMachines, onSetItems }) {
     const [newMachineName, setNewMachineName] = useState('');
     const [showConfirmModal, setShowConfirmModal] = useState(false);
     const [machineToDelete, setMachineToDelete] = useState(null);
+    const [calendarMachine, setCalendarMachine] = useState(null);
+    const [editingMachine, setEditingMachine] = useState(null);
+    const [alertMessage, setAlertMessage] = useState('');
 
     const handleAddMachine = (e) => {
         e.preventDefault();
         if (newMachineName.trim() === '') return;
+        if (isNameTaken(newMachineName.trim())) {
+            setAlertMessage(`A machine named "${newMachineName.trim()}" already exists.`);
+            return;
+        }
         const newMachine = { name: newMachineName.trim(), id: `machine-${Date.now()}` };
         onSetMachines([...machines, newMachine]);
         setNewMachineName('');
@@ -375,14 +1050,65 @@ function MachineLibrary({ machines, onSetMachines }) {
         setShowConfirmModal(true);
     };
 
-    const handleDeleteMachine = () => {
+    // Items that would be left with no allowed machine if machineToDelete goes
+    const orphanedItems = machineToDelete
+        ? items.filter(item => item.allowedMachines?.length === 1 && item.allowedMachines[0] === machineToDelete)
+        : [];
+
+    const handleDeleteMachine = (reassignTo) => {
         if (!machineToDelete) return;
         const updatedMachines = machines.filter(m => m.id !== machineToDelete);
-        onSetMachines(updatedMachines);
+        const updatedItems = items.map(item => {
+            if (!item.allowedMachines?.includes(machineToDelete)) return item;
+            const remaining = item.allowedMachines.filter(id => id !== machineToDelete);
+            return { ...item, allowedMachines: remaining.length === 0 && reassignTo ? [reassignTo] : remaining };
+        });
+        onSetMachines(updatedMachines, `Deleted machine "${machines.find(m => m.id === machineToDelete)?.name}".`);
+        onSetItems(reestimateItems(updatedItems, updatedMachines));
         setShowConfirmModal(false);
         setMachineToDelete(null);
     };
 
+    // Build times estimated from cut files follow the machines' speeds
+    const handleSaveMachine = (details) => {
+        const updatedMachines = machines.map(m => m.id === editingMachine.id ? { ...m, ...details } : m);
+        onSetMachines(updatedMachines);
+        onSetItems(reestimateItems(items, updatedMachines));
+        setEditingMachine(null);
+    };
+
+    const isNameTaken = (name, exceptId) => machines.some(m => m.id !== exceptId && m.name.toLowerCase() === name.toLowerCase());
+
+    const describeMachine = (machine) => {
+        const parts = [];
+        if (machine.laserType || machine.wattage) parts.push([machine.laserType, machine.wattage && `${machine.wattage}W`].filter(Boolean).join(' '));
+        if (machine.bedWidth && machine.bedHeight) parts.push(`${machine.bedWidth}×${machine.bedHeight}mm bed`);
+        if (parseFloat(machine.speedFactor) > 0 && parseFloat(machine.speedFactor) !== 1) parts.push(`×${machine.speedFactor} speed`);
+        if (parseFloat(machine.cutSpeed) > 0) parts.push(`cuts at ${machine.cutSpeed} mm/s`);
+        if (parseFloat(machine.hourlyCost) > 0) parts.push(`$${parseFloat(machine.hourlyCost).toFixed(2)}/h`);
+        return parts.join(' · ');
+    };
+
+    const handleSaveCalendar = (calendar) => {
+        onSetMachines(machines.map(m => m.id === calendarMachine.id ? { ...m, calendar } : m));
+        setCalendarMachine(null);
+    };
+
+    const setupKeys = [...new Set(items.map(setupKeyOf).filter(Boolean))];
+
+    const handleSetCurrentSetup = (machineId, currentSetup) => {
+        onSetMachines(machines.map(m => m.id === machineId ? { ...m, currentSetup: currentSetup || null } : m));
+    };
+
+    const describeCalendar = (calendar) => {
+        if (!calendar) return 'Standard workday';
+        const parts = [];
+        if (calendar.shiftStart && calendar.shiftEnd) parts.push(`Shift ${calendar.shiftStart}–${calendar.shiftEnd}`);
+        if (calendar.breaks?.length) parts.push(`${calendar.breaks.length} break(s)`);
+        if (calendar.downtime?.length) parts.push(`${calendar.downtime.length} downtime block(s)`);
+        return parts.length > 0 ? parts.join(' · ') : 'Standard workday';
+    };
+
     return (
         <div className="space-y-6">
             <h2 className="text-3xl font-bold">Machines</h2>
@@ -403,243 +1129,1499 @@ function MachineLibrary({ machines, onSetMachines }) {
                 <ul className="space-y-3">
                     {machines.length > 0 ? machines.map(machine => (
                         <li key={machine.id} className="flex justify-between items-center bg-gray-700/50 p-3 rounded-lg">
-                            <span className="font-medium">{machine.name}</span>
-                            <button onClick={() => confirmDeleteMachine(machine.id)} className="text-gray-400 hover:text-red-500">
-                                <Icon path="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052.682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059.68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0" />
-                            </button>
+                            <div>
+                                <span className="font-medium">{machine.name}</span>
+                                {describeMachine(machine) && <p className="text-sm text-gray-300">{describeMachine(machine)}</p>}
+                                <p className="text-sm text-gray-400">{describeCalendar(machine.calendar)}</p>
+                            </div>
+                            <div className="flex items-center space-x-2">
+                                <select
+                                    value={machine.currentSetup || ''}
+                                    onChange={e => handleSetCurrentSetup(machine.id, e.target.value)}
+                                    title="Setup currently loaded on this machine"
+                                    className="bg-gray-700 p-2 rounded-lg border border-gray-600 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                >
+                                    <option value="">No setup loaded</option>
+                                    {setupKeys.map(key => <option key={key} value={key}>{describeSetup(key, items)}</option>)}
+                                </select>
+                                <button onClick={() => setEditingMachine(machine)} className="text-gray-400 hover:text-indigo-400" title="Edit machine">
+                                    <Icon path="M16.862 4.487l1.687-1.688a1.875 1.875 0 112.652 2.652L6.832 19.82a4.5 4.5 0 01-1.897 1.13l-2.685.8.8-2.685a4.5 4.5 0 011.13-1.897L16.863 4.487zm0 0L19.5 7.125" />
+                                </button>
+                                <button onClick={() => setCalendarMachine(machine)} className="text-gray-400 hover:text-indigo-400" title="Edit calendar">
+                                    <Icon path="M6.75 3v2.25M17.25 3v2.25M3 18.75V7.5a2.25 2.25 0 012.25-2.25h13.5A2.25 2.25 0 0121 7.5v11.25m-18 0A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75m-18 0h18M12 12.75h.008v.008H12v-.008z" />
+                                </button>
+                                <button onClick={() => confirmDeleteMachine(machine.id)} className="text-gray-400 hover:text-red-500">
+                                    <Icon path="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052.682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059.68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0" />
+                                </button>
+                            </div>
                         </li>
                     )) : (
                         <p className="text-center text-gray-500">No machines added yet.</p>
                     )}
                 </ul>
             </div>
-            {showConfirmModal && <ConfirmationModal message="Are you sure you want to delete this machine? This may affect items that rely on it." onConfirm={handleDeleteMachine} onCancel={() => setShowConfirmModal(false)} />}
+            {showConfirmModal && (
+                <DeleteMachineModal
+                    machine={machines.find(m => m.id === machineToDelete)}
+                    otherMachines={machines.filter(m => m.id !== machineToDelete)}
+                    orphanedItems={orphanedItems}
+                    onConfirm={handleDeleteMachine}
+                    onCancel={() => setShowConfirmModal(false)}
+                />
+            )}
+            {editingMachine && <MachineForm machine={editingMachine} isNameTaken={isNameTaken} onClose={() => setEditingMachine(null)} onSave={handleSaveMachine} />}
+            {alertMessage && <AlertModal message={alertMessage} onClose={() => setAlertMessage('')} />}
+            {calendarMachine && <MachineCalendarForm machine={calendarMachine} onClose={() => setCalendarMachine(null)} onSave={handleSaveCalendar} />}
         </div>
     );
 }
 
-function DailyPlanner({ items, orders, onSetOrders, onGenerateSchedule }) {
-    const [selectedItem, setSelectedItem] = useState('');
-    const [quantity, setQuantity] = useState(1);
-    const [alertInfo, setAlertInfo] = useState({ show: false, message: '' });
-
-    const handleAddOrder = (e) => {
-        e.preventDefault();
-        if (!selectedItem || quantity <= 0) return;
-        const itemDetails = items.find(i => i.id === selectedItem);
-        if (!itemDetails) return;
-
-        const newOrder = {
-            id: `order-${selectedItem}-${Date.now()}`,
-            itemId: selectedItem,
-            itemName: itemDetails.name,
-            quantity: parseInt(quantity, 10),
-            profit: (parseFloat(itemDetails.price) - parseFloat(itemDetails.cost)).toFixed(2)
-        };
-
-        onSetOrders([...orders, newOrder]);
-        setSelectedItem('');
-        setQuantity(1);
-    };
-
-    const handleGenerateSchedule = () => {
-        onGenerateSchedule({ orders: orders, generatedAt: new Date().toISOString() });
-        setAlertInfo({ show: true, message: "Schedule generated! View it in the 'Schedule View' tab." });
-    };
+function DeleteMachineModal({ machine, otherMachines, orphanedItems, onConfirm, onCancel }) {
+    const [reassignTo, setReassignTo] = useState(otherMachines[0]?.id || '');
 
     return (
-        <div className="space-y-6">
-            <h2 className="text-3xl font-bold">Daily Planner</h2>
-            <div className="bg-gray-800 rounded-xl p-6 space-y-4">
-                <form onSubmit={handleAddOrder} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
-                    <div className="md:col-span-2">
-                        <label className="block text-sm font-medium text-gray-400 mb-1">Select Item</label>
-                        <select value={selectedItem} onChange={e => setSelectedItem(e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500">
-                            <option value="">Choose an item...</option>
-                            {items.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+        <Modal onClose={onCancel} showCloseButton={false}>
+            <div className="text-center space-y-4">
+                <h3 className="text-xl font-bold text-white">Delete {machine?.name}?</h3>
+                {orphanedItems.length === 0 ? (
+                    <p className="text-gray-300">No item relies on this machine alone.</p>
+                ) : (
+                    <div className="text-left space-y-3">
+                        <p className="text-gray-300">These items would be left without any allowed machine:</p>
+                        <ul className="bg-gray-700/50 rounded-lg p-3 space-y-1 max-h-40 overflow-y-auto">
+                            {orphanedItems.map(item => <li key={item.id} className="font-medium">{item.name}</li>)}
+                        </ul>
+                        <label className="block text-sm font-medium text-gray-400">Reassign them to</label>
+                        <select value={reassignTo} onChange={e => setReassignTo(e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                            <option value="">Don't reassign (they can't be scheduled)</option>
+                            {otherMachines.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
                         </select>
                     </div>
-                    <div>
-                        <label className="block text-sm font-medium text-gray-400 mb-1">Quantity</label>
-                        <input type="number" value={quantity} onChange={e => setQuantity(e.target.value)} min="1" className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
-                    </div>
-                    <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg flex items-center justify-center space-x-2 transition-transform transform hover:scale-105">
-                        <Icon path="M12 4.5v15m7.5-7.5h-15" />
-                        <span>Add Order</span>
+                )}
+                <div className="flex justify-center gap-4 pt-2">
+                    <button onClick={onCancel} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-6 rounded-lg transition-transform transform hover:scale-105">
+                        Cancel
                     </button>
-                </form>
-            </div>
-
-            <div className="bg-gray-800 rounded-xl p-4">
-                <div className="flex justify-between items-center mb-4">
-                    <h3 className="text-xl font-semibold">Today's Orders</h3>
-                    <button onClick={handleGenerateSchedule} disabled={orders.length === 0} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg flex items-center space-x-2 transition-transform transform hover:scale-105 disabled:bg-gray-500 disabled:cursor-not-allowed">
-                        <Icon path="M4.5 12.75l6 6 9-13.5" />
-                        <span>Generate Schedule</span>
+                    <button onClick={() => onConfirm(reassignTo)} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-lg transition-transform transform hover:scale-105">
+                        Delete
                     </button>
                 </div>
-                 <div className="overflow-x-auto">
-                    <table className="w-full text-left">
-                        <thead>
-                            <tr className="border-b border-gray-700">
-                                <th className="p-3">Item</th>
-                                <th className="p-3">Quantity</th>
-                                <th className="p-3">Total Profit</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {orders.length > 0 ? orders.map((order) => (
-                                <tr key={order.id} className="border-b border-gray-700/50 hover:bg-gray-700/30">
-                                    <td className="p-3 font-medium">{order.itemName}</td>
-                                    <td className="p-3">{order.quantity}</td>
-                                    <td className="p-3 text-green-400">${(order.profit * order.quantity).toFixed(2)}</td>
-                                </tr>
-                            )) : (
-                                <tr><td colSpan="3" className="p-4 text-center text-gray-500">No orders added for today.</td></tr>
-                            )}
-                        </tbody>
-                    </table>
-                </div>
             </div>
-            {alertInfo.show && <AlertModal message={alertInfo.message} onClose={() => setAlertInfo({ show: false, message: '' })} />}
-        </div>
+        </Modal>
+    );
+}
+
+function MachineForm({ machine, isNameTaken, onClose, onSave }) {
+    const [formData, setFormData] = useState({
+        name: machine.name,
+        laserType: machine.laserType || '',
+        wattage: machine.wattage || '',
+        bedWidth: machine.bedWidth || '',
+        bedHeight: machine.bedHeight || '',
+        speedFactor: machine.speedFactor || '',
+        hourlyCost: machine.hourlyCost || '',
+        cutSpeed: machine.cutSpeed || '',
+        engraveSpeed: machine.engraveSpeed || '',
+        lineInterval: machine.lineInterval || '',
+        pierceTime: machine.pierceTime || '',
+    });
+    const [alertMessage, setAlertMessage] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const name = formData.name.trim();
+        if (!name) {
+            setAlertMessage("Please enter a machine name.");
+            return;
+        }
+        if (isNameTaken(name, machine.id)) {
+            setAlertMessage(`A machine named "${name}" already exists.`);
+            return;
+        }
+        if (formData.speedFactor !== '' && !(parseFloat(formData.speedFactor) > 0)) {
+            setAlertMessage("Speed factor must be greater than zero.");
+            return;
+        }
+        if (formData.hourlyCost !== '' && parseFloat(formData.hourlyCost) < 0) {
+            setAlertMessage("Hourly cost cannot be negative.");
+            return;
+        }
+        if (['cutSpeed', 'engraveSpeed', 'lineInterval'].some(field => formData[field] !== '' && !(parseFloat(formData[field]) > 0))) {
+            setAlertMessage("Cut speed, engrave speed and line interval must be greater than zero.");
+            return;
+        }
+        if (formData.pierceTime !== '' && parseFloat(formData.pierceTime) < 0) {
+            setAlertMessage("Pierce time cannot be negative.");
+            return;
+        }
+        onSave({ ...formData, name });
+    };
+
+    const inputClass = "w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+    return (
+        <>
+            <Modal onClose={onClose}>
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    <h3 className="text-2xl font-bold text-white mt-6">Edit {machine.name}</h3>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div className="col-span-2">
+                            <label className="block text-sm font-medium text-gray-400 mb-1">Name</label>
+                            <input type="text" value={formData.name} onChange={e => setFormData({...formData, name: e.target.value})} className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-1">Laser Type</label>
+                            <select value={formData.laserType} onChange={e => setFormData({...formData, laserType: e.target.value})} className={inputClass}>
+                                <option value="">Not set</option>
+                                {LASER_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-1">Power (W)</label>
+                            <input type="number" step="any" min="0" value={formData.wattage} onChange={e => setFormData({...formData, wattage: e.target.value})} className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-1">Bed Width (mm)</label>
+                            <input type="number" step="any" min="0" value={formData.bedWidth} onChange={e => setFormData({...formData, bedWidth: e.target.value})} className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-1">Bed Height (mm)</label>
+                            <input type="number" step="any" min="0" value={formData.bedHeight} onChange={e => setFormData({...formData, bedHeight: e.target.value})} className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-1">Speed Factor</label>
+                            <input type="number" step="any" min="0" placeholder="1" value={formData.speedFactor} onChange={e => setFormData({...formData, speedFactor: e.target.value})} className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-1">Operating Cost ($/h)</label>
+                            <input type="number" step="any" min="0" placeholder="0" value={formData.hourlyCost} onChange={e => setFormData({...formData, hourlyCost: e.target.value})} className={inputClass} />
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-400">A speed factor of 1.25 runs jobs in 80% of the item's build time. Operating cost covers power, gas and depreciation and is subtracted from scheduled profit.</p>
+                    <div>
+                        <h4 className="font-semibold mb-2">Cut File Estimates</h4>
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-1">Cut Speed (mm/s)</label>
+                                <input type="number" step="any" min="0" value={formData.cutSpeed} onChange={e => setFormData({...formData, cutSpeed: e.target.value})} className={inputClass} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-1">Pierce Time (s)</label>
+                                <input type="number" step="any" min="0" placeholder="0" value={formData.pierceTime} onChange={e => setFormData({...formData, pierceTime: e.target.value})} className={inputClass} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-1">Engrave Speed (mm/s)</label>
+                                <input type="number" step="any" min="0" value={formData.engraveSpeed} onChange={e => setFormData({...formData, engraveSpeed: e.target.value})} className={inputClass} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-1">Line Interval (mm)</label>
+                                <input type="number" step="any" min="0" placeholder={String(DEFAULT_LINE_INTERVAL)} value={formData.lineInterval} onChange={e => setFormData({...formData, lineInterval: e.target.value})} className={inputClass} />
+                            </div>
+                        </div>
+                        <p className="text-xs text-gray-400 mt-2">Used to estimate build times from items' SVG or DXF files: cut length at the cut speed, engraved area one line interval at a time at the engrave speed, plus the pierce time for every cut path.</p>
+                    </div>
+                    <button type="submit" className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg transition-transform transform hover:scale-105">Save Machine</button>
+                </form>
+            </Modal>
+            {alertMessage && <AlertModal message={alertMessage} onClose={() => setAlertMessage('')} />}
+        </>
+    );
+}
+
+function MachineCalendarForm({ machine, onClose, onSave }) {
+    const [calendar, setCalendar] = useState({ ...emptyCalendar(), ...machine.calendar });
+    const [alertMessage, setAlertMessage] = useState('');
+
+    const updateEntry = (listName, index, field, value) => {
+        setCalendar(prev => ({
+            ...prev,
+            [listName]: prev[listName].map((entry, i) => i === index ? { ...entry, [field]: value } : entry),
+        }));
+    };
+
+    const addEntry = (listName, entry) => setCalendar(prev => ({ ...prev, [listName]: [...prev[listName], entry] }));
+    const removeEntry = (listName, index) => setCalendar(prev => ({ ...prev, [listName]: prev[listName].filter((_, i) => i !== index) }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (Boolean(calendar.shiftStart) !== Boolean(calendar.shiftEnd)) {
+            setAlertMessage("Please set both the shift start and end, or leave both empty to use the standard workday.");
+            return;
+        }
+        if (calendar.breaks.some(b => !b.start || !b.end)) {
+            setAlertMessage("Every break needs a start and end time.");
+            return;
+        }
+        if (calendar.downtime.some(d => !d.date)) {
+            setAlertMessage("Every downtime block needs a date.");
+            return;
+        }
+        onSave(calendar);
+    };
+
+    const inputClass = "w-full bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+    return (
+        <>
+            <Modal onClose={onClose}>
+                <form onSubmit={handleSubmit} className="space-y-6 max-h-[80vh] overflow-y-auto pr-1">
+                    <h3 className="text-2xl font-bold text-white mt-6">{machine.name} Calendar</h3>
+                    <div>
+                        <h4 className="font-semibold mb-2">Shift</h4>
+                        <p className="text-xs text-gray-400 mb-2">Leave empty to use the workday from Settings.</p>
+                        <div className="grid grid-cols-2 gap-4">
+                            <input type="time" value={calendar.shiftStart} onChange={e => setCalendar({ ...calendar, shiftStart: e.target.value })} className={inputClass} />
+                            <input type="time" value={calendar.shiftEnd} onChange={e => setCalendar({ ...calendar, shiftEnd: e.target.value })} className={inputClass} />
+                        </div>
+                    </div>
+                    <div>
+                        <div className="flex justify-between items-center mb-2">
+                            <h4 className="font-semibold">Daily Breaks</h4>
+                            <button type="button" onClick={() => addEntry('breaks', { start: '', end: '', label: '' })} className="text-sm text-indigo-400 hover:text-indigo-300">+ Add Break</button>
+                        </div>
+                        <div className="space-y-2">
+                            {calendar.breaks.map((entry, index) => (
+                                <div key={index} className="grid grid-cols-7 gap-2 items-center">
+                                    <input type="text" placeholder="Label" value={entry.label} onChange={e => updateEntry('breaks', index, 'label', e.target.value)} className={`${inputClass} col-span-2`} />
+                                    <input type="time" value={entry.start} onChange={e => updateEntry('breaks', index, 'start', e.target.value)} className={`${inputClass} col-span-2`} />
+                                    <input type="time" value={entry.end} onChange={e => updateEntry('breaks', index, 'end', e.target.value)} className={`${inputClass} col-span-2`} />
+                                    <button type="button" onClick={() => removeEntry('breaks', index)} className="text-gray-400 hover:text-red-500"><Icon path="M6 18L18 6M6 6l12 12" className="w-5 h-5" /></button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                    <div>
+                        <div className="flex justify-between items-center mb-2">
+                            <h4 className="font-semibold">Downtime</h4>
+                            <button type="button" onClick={() => addEntry('downtime', { date: toDateString(new Date()), start: '', end: '', label: '' })} className="text-sm text-indigo-400 hover:text-indigo-300">+ Add Downtime</button>
+                        </div>
+                        <p className="text-xs text-gray-400 mb-2">Leave the times empty to take the machine out for the whole day.</p>
+                        <div className="space-y-3">
+                            {calendar.downtime.map((entry, index) => (
+                                <div key={index} className="grid grid-cols-6 gap-2 items-center bg-gray-700/30 p-2 rounded-lg">
+                                    <input type="text" placeholder="Label (e.g. Lens cleaning)" value={entry.label} onChange={e => updateEntry('downtime', index, 'label', e.target.value)} className={`${inputClass} col-span-5`} />
+                                    <button type="button" onClick={() => removeEntry('downtime', index)} className="text-gray-400 hover:text-red-500"><Icon path="M6 18L18 6M6 6l12 12" className="w-5 h-5" /></button>
+                                    <input type="date" value={entry.date} onChange={e => updateEntry('downtime', index, 'date', e.target.value)} className={`${inputClass} col-span-2`} />
+                                    <input type="time" value={entry.start} onChange={e => updateEntry('downtime', index, 'start', e.target.value)} className={`${inputClass} col-span-2`} />
+                                    <input type="time" value={entry.end} onChange={e => updateEntry('downtime', index, 'end', e.target.value)} className={`${inputClass} col-span-2`} />
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                    <button type="submit" className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg transition-transform transform hover:scale-105">Save Calendar</button>
+                </form>
+            </Modal>
+            {alertMessage && <AlertModal message={alertMessage} onClose={() => setAlertMessage('')} />}
+        </>
     );
 }
 
-function ScheduleView({ scheduleOrders, items, machines, settings }) {
-    const formatTime = (minutesFromStart, startHour) => {
-        const totalMinutes = (startHour * 60) + minutesFromStart;
-        const hours = Math.floor(totalMinutes / 60) % 24;
-        const mins = totalMinutes % 60;
-        const period = hours >= 12 ? 'PM' : 'AM';
-        let displayHour = hours % 12;
-        if (displayHour === 0) displayHour = 12;
-        const displayMins = mins < 10 ? `0${mins}` : mins;
-        return `${displayHour}:${displayMins} ${period}`;
+function DailyPlanner({ items, machines, orders, materials, settings, schedule, onSetOrders, onSetSettings, onGenerateSchedule }) {
+    const [selectedItem, setSelectedItem] = useState('');
+    const [quantity, setQuantity] = useState(1);
+    const [customer, setCustomer] = useState('');
+    const [dueTime, setDueTime] = useState('');
+    const [priority, setPriority] = useState('normal');
+    const [alertInfo, setAlertInfo] = useState({ show: false, message: '' });
+    const [csvImport, setCsvImport] = useState(null);
+    const [editingOrder, setEditingOrder] = useState(null);
+    const [splittingOrder, setSplittingOrder] = useState(null);
+    const [orderToDelete, setOrderToDelete] = useState(null);
+    const [confirmingReplace, setConfirmingReplace] = useState(false);
+    const scheduleIsStale = isScheduleStale(schedule, orders);
+
+    const handleAddOrder = (e) => {
+        e.preventDefault();
+        if (!selectedItem || quantity <= 0) return;
+        const itemDetails = items.find(i => i.id === selectedItem);
+        if (!itemDetails) return;
+
+        const newOrder = {
+            id: createOrderId(),
+            ...pricedFromItem(itemDetails),
+            quantity: parseInt(quantity, 10),
+            customer: customer.trim(),
+            dueTime,
+            priority,
+        };
+
+        // Adding more of an order that already exists just raises its quantity
+        onSetOrders(addOrMergeOrder(orders, newOrder));
+        setSelectedItem('');
+        setQuantity(1);
+        setCustomer('');
+        setDueTime('');
+        setPriority('normal');
     };
 
-    const scheduleData = useMemo(() => {
-        if (!scheduleOrders || items.length === 0 || machines.length === 0) {
-            return null;
+    const handleSaveEdit = () => {
+        const quantity = parseInt(editingOrder.quantity, 10);
+        if (isNaN(quantity) || quantity <= 0) {
+            setAlertInfo({ show: true, message: 'Quantity must be a whole number above zero.' });
+            return;
         }
+        const itemDetails = items.find(i => i.id === editingOrder.itemId);
+        onSetOrders(orders.map(order => {
+            if (order.id !== editingOrder.id) return order;
+            const updated = { ...order, ...editingOrder, quantity, customer: editingOrder.customer.trim() };
+            // A different item is priced as it is in the library now
+            if (itemDetails && order.itemId !== editingOrder.itemId) return repriceOrder(updated, itemDetails);
+            return updated;
+        }));
+        setEditingOrder(null);
+    };
 
-        const allTasks = scheduleOrders.flatMap(order => {
+    const handleRepriceOrder = (orderId) => {
+        onSetOrders(orders.map(order => {
             const itemDetails = items.find(i => i.id === order.itemId);
-            if (!itemDetails || !itemDetails.buildTime || itemDetails.buildTime <= 0) return [];
-            const profit = (parseFloat(itemDetails.price) || 0) - (parseFloat(itemDetails.cost) || 0);
-            const profitPerMinute = profit / parseFloat(itemDetails.buildTime);
-
-            return Array(order.quantity).fill(null).map((_, i) => ({
-                id: `${order.itemId}-${i}`,
-                name: order.itemName,
-                buildTime: parseFloat(itemDetails.buildTime),
-                profit,
-                profitPerMinute,
-                allowedMachines: itemDetails.allowedMachines || [],
-            }));
-        });
+            return order.id === orderId && itemDetails ? repriceOrder(order, itemDetails) : order;
+        }));
+    };
 
-        allTasks.sort((a, b) => b.profitPerMinute - a.profitPerMinute);
+    // Library changes since each order was placed, keyed by order id
+    const libraryChanges = useMemo(() => Object.fromEntries(orders.map(order => [
+        order.id,
+        snapshotDiff(order, items.find(i => i.id === order.itemId)),
+    ])), [orders, items]);
 
-        const machineTimelines = machines.reduce((acc, machine) => {
-            acc[machine.name] = { tasks: [], currentTime: 0 };
-            return acc;
-        }, {});
-
-        const totalWorkMinutes = (settings.workHours || 8) * 60;
-        let totalProfit = 0;
-        const overflowTasks = [];
-
-        for (const task of allTasks) {
-            let bestMachine = null;
-            let earliestFinishTime = Infinity;
-
-            for (const machineName of task.allowedMachines) {
-                if (machineTimelines[machineName]) {
-                    const finishTime = machineTimelines[machineName].currentTime + task.buildTime;
-                    if (finishTime < earliestFinishTime) {
-                        earliestFinishTime = finishTime;
-                        bestMachine = machineName;
-                    }
-                }
-            }
+    const formatSnapshotValue = (field, value) => {
+        if (field === 'partsPerRun') return value || '1';
+        if (field === 'buildTime' || field === 'minutesPerRun') return value ? `${value} min` : '—';
+        return `$${parseFloat(value).toFixed(2)}`;
+    };
 
-            if (bestMachine && earliestFinishTime <= totalWorkMinutes) {
-                const startTime = machineTimelines[bestMachine].currentTime;
-                machineTimelines[bestMachine].tasks.push({ ...task, startTime, endTime: earliestFinishTime });
-                machineTimelines[bestMachine].currentTime = earliestFinishTime;
-                totalProfit += task.profit;
-            } else {
-                overflowTasks.push(task);
-            }
+    const handleDeleteOrder = () => {
+        onSetOrders(orders.filter(order => order.id !== orderToDelete), `Deleted order for ${orders.find(order => order.id === orderToDelete)?.itemName}.`);
+        setOrderToDelete(null);
+    };
+
+    const handleSplitOrder = (e) => {
+        e.preventDefault();
+        const updated = splitOrder(orders, splittingOrder.id, parseInt(splittingOrder.splitQuantity, 10));
+        if (!updated) {
+            setAlertInfo({ show: true, message: `Split off between 1 and ${splittingOrder.quantity - 1} units.` });
+            return;
         }
-        return { schedule: machineTimelines, totalProfit, overflowTasks };
-    }, [scheduleOrders, items, machines, settings]);
+        onSetOrders(updated);
+        setSplittingOrder(null);
+    };
+
+    const handleImportCsv = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setCsvImport({ fileName: file.name, result: parseOrdersCsv(await readFileAsText(file), { items }) });
+        } catch (error) {
+            setAlertInfo({ show: true, message: `${file.name} could not be read: ${error.message}` });
+        }
+    };
+
+    const handleConfirmCsvImport = () => {
+        onSetOrders(applyOrdersImport(orders, csvImport.result.rows), `Imported orders from ${csvImport.fileName}.`);
+        setCsvImport(null);
+    };
+
+    // Projected completion comes from the last generated schedule, if any
+    const describeCompletion = (order) => {
+        const completion = schedule?.orderCompletion;
+        if (!completion || !(order.id in completion)) return <span className="text-gray-500">—</span>;
+        if (!completion[order.id]) return <span className="text-yellow-400">Beyond horizon</span>;
+        const { day, endTime } = completion[order.id];
+        return `Day ${day}, ${formatTime(endTime, settings.workdayStartHour)}`;
+    };
+
+    // A schedule that was never marked complete isn't in the history yet, so replacing it is confirmed first
+    const handleGenerateSchedule = () => {
+        if (schedule && !schedule.completedAt) {
+            setConfirmingReplace(true);
+            return;
+        }
+        generateSchedule();
+    };
+
+    const generateSchedule = () => {
+        setConfirmingReplace(false);
+        const result = buildSchedule({ items, machines, orders, materials, settings, scheduleDate: toDateString(new Date()) });
+        onGenerateSchedule({ orders: orders, generatedAt: new Date().toISOString(), ...result });
+        let message = "Schedule generated! View it in the 'Schedule View' tab.";
+        if (result.planningDays > 1) {
+            message += `\n\nPlanned ${result.days.length} of ${result.planningDays} day(s).`;
+        }
+        if (result.overflowTasks.length > 0) {
+            message += `\n\n${result.overflowTasks.length} task(s) do not fit in the planning horizon.`;
+        }
+        if (result.stockBlockedTasks.length > 0) {
+            message += `\n\n${result.stockBlockedTasks.length} task(s) are held back for lack of material.`;
+        }
+        if (result.lateTasks.length > 0) {
+            message += `\n\n${result.lateTasks.length} task(s) will finish after their due time.`;
+        }
+        if (result.mode === 'optimize') {
+            const gain = result.totalProfit - result.greedyProfit;
+            message += gain > 0
+                ? `\n\nThe optimizer found $${gain.toFixed(2)} more profit than the greedy schedule.`
+                : "\n\nThe optimizer could not improve on the greedy schedule.";
+        }
+        setAlertInfo({ show: true, message });
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <h2 className="text-3xl font-bold">Daily Planner</h2>
+                <label className="cursor-pointer bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition-transform transform hover:scale-105">
+                    Import Orders CSV
+                    <input type="file" accept=".csv,text/csv" onChange={handleImportCsv} className="hidden" />
+                </label>
+            </div>
+            <div className="bg-gray-800 rounded-xl p-6 space-y-4">
+                <form onSubmit={handleAddOrder} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                    <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-400 mb-1">Select Item</label>
+                        <select value={selectedItem} onChange={e => setSelectedItem(e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                            <option value="">Choose an item...</option>
+                            {items.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-1">Quantity</label>
+                        <input type="number" value={quantity} onChange={e => setQuantity(e.target.value)} min="1" className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-1">Priority</label>
+                        <select value={priority} onChange={e => setPriority(e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                            {Object.entries(PRIORITY_LEVELS).map(([key, level]) => <option key={key} value={key}>{level.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-400 mb-1">Customer</label>
+                        <input type="text" value={customer} onChange={e => setCustomer(e.target.value)} placeholder="Customer name (optional)" className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-1">Due Time</label>
+                        <input type="time" value={dueTime} onChange={e => setDueTime(e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                    </div>
+                    <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg flex items-center justify-center space-x-2 transition-transform transform hover:scale-105">
+                        <Icon path="M12 4.5v15m7.5-7.5h-15" />
+                        <span>Add Order</span>
+                    </button>
+                </form>
+            </div>
+
+            {scheduleIsStale && (
+                <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-lg p-4 text-yellow-300">
+                    The orders changed after the current schedule was generated. Generate the schedule again to include the changes.
+                </div>
+            )}
+
+            <div className="bg-gray-800 rounded-xl p-4">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold">Today's Orders</h3>
+                    <div className="flex items-center gap-2">
+                        <label className="text-sm text-gray-400" htmlFor="planningDays">Days</label>
+                        <input
+                            id="planningDays"
+                            type="number"
+                            min="1"
+                            max="14"
+                            value={settings.planningDays || 1}
+                            onChange={e => {
+                                const planningDays = parseInt(e.target.value, 10);
+                                if (!isNaN(planningDays) && planningDays > 0) onSetSettings({ ...settings, planningDays });
+                            }}
+                            className="w-16 bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                        <select
+                            value={settings.priorityRule || 'profit'}
+                            onChange={e => onSetSettings({ ...settings, priorityRule: e.target.value })}
+                            className="bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        >
+                            {Object.entries(PRIORITY_RULES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                        <select
+                            value={settings.scheduleMode || 'greedy'}
+                            onChange={e => onSetSettings({ ...settings, scheduleMode: e.target.value })}
+                            title="Optimize picks what runs for the most profit only; due dates and the priority rule just set the running order afterwards"
+                            className="bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        >
+                            <option value="greedy">Quick (Greedy)</option>
+                            <option value="optimize">Optimize</option>
+                        </select>
+                        <button onClick={handleGenerateSchedule} disabled={orders.length === 0} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg flex items-center space-x-2 transition-transform transform hover:scale-105 disabled:bg-gray-500 disabled:cursor-not-allowed">
+                            <Icon path="M4.5 12.75l6 6 9-13.5" />
+                            <span>Generate Schedule</span>
+                        </button>
+                    </div>
+                </div>
+                {settings.scheduleMode === 'optimize' && (
+                    <p className="text-xs text-gray-400 mb-4">
+                        Optimize chooses which tasks run for the most profit and ignores due dates and priority while doing so; they only set the running order on each machine. A late urgent order can lose its slot to a more profitable one, so use Quick when deadlines come first.
+                    </p>
+                )}
+                 <div className="overflow-x-auto">
+                    <table className="w-full text-left">
+                        <thead>
+                            <tr className="border-b border-gray-700">
+                                <th className="p-3">Customer</th>
+                                <th className="p-3">Item</th>
+                                <th className="p-3">Quantity</th>
+                                <th className="p-3">Due</th>
+                                <th className="p-3">Priority</th>
+                                <th className="p-3">Total Profit</th>
+                                <th className="p-3">Projected Completion</th>
+                                <th className="p-3">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {orders.length > 0 ? orders.map((order) => editingOrder?.id === order.id ? (
+                                <tr key={order.id} className="border-b border-gray-700/50 bg-gray-700/30">
+                                    <td className="p-2">
+                                        <input type="text" value={editingOrder.customer} onChange={e => setEditingOrder({ ...editingOrder, customer: e.target.value })} className="w-full bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                    </td>
+                                    <td className="p-2">
+                                        <select value={editingOrder.itemId} onChange={e => setEditingOrder({ ...editingOrder, itemId: e.target.value })} className="w-full bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                                            {!items.some(item => item.id === order.itemId) && <option value={order.itemId}>{order.itemName}</option>}
+                                            {items.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+                                        </select>
+                                    </td>
+                                    <td className="p-2">
+                                        <input type="number" min="1" value={editingOrder.quantity} onChange={e => setEditingOrder({ ...editingOrder, quantity: e.target.value })} className="w-20 bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                    </td>
+                                    <td className="p-2">
+                                        <input type="time" value={editingOrder.dueTime} onChange={e => setEditingOrder({ ...editingOrder, dueTime: e.target.value })} className="bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                                    </td>
+                                    <td className="p-2">
+                                        <select value={editingOrder.priority} onChange={e => setEditingOrder({ ...editingOrder, priority: e.target.value })} className="bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                                            {Object.entries(PRIORITY_LEVELS).map(([key, level]) => <option key={key} value={key}>{level.label}</option>)}
+                                        </select>
+                                    </td>
+                                    <td className="p-3 text-gray-500" colSpan="2">—</td>
+                                    <td className="p-3">
+                                        <div className="flex gap-2">
+                                            <button onClick={handleSaveEdit} className="text-green-400 hover:text-green-300 font-semibold">Save</button>
+                                            <button onClick={() => setEditingOrder(null)} className="text-gray-400 hover:text-gray-300">Cancel</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ) : (
+                                <tr key={order.id} className="border-b border-gray-700/50 hover:bg-gray-700/30">
+                                    <td className="p-3">{order.customer || <span className="text-gray-500">—</span>}</td>
+                                    <td className="p-3 font-medium">{order.itemName}</td>
+                                    <td className="p-3">{order.quantity}</td>
+                                    <td className="p-3">{order.dueTime || <span className="text-gray-500">—</span>}</td>
+                                    <td className="p-3">{(PRIORITY_LEVELS[order.priority] || PRIORITY_LEVELS.normal).label}</td>
+                                    <td className="p-3">
+                                        <span className="text-green-400">${(order.profit * order.quantity).toFixed(2)}</span>
+                                        {libraryChanges[order.id].length > 0 && (
+                                            <div className="mt-1 text-xs text-yellow-300">
+                                                <p className="font-semibold">Library changed since this order was placed:</p>
+                                                {libraryChanges[order.id].map(change => (
+                                                    <p key={change.field}>
+                                                        {change.label}: {formatSnapshotValue(change.field, change.from)} → {formatSnapshotValue(change.field, change.to)}
+                                                    </p>
+                                                ))}
+                                                <button onClick={() => handleRepriceOrder(order.id)} className="mt-1 text-indigo-300 hover:text-indigo-200 font-semibold">
+                                                    Reprice from library
+                                                </button>
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td className={`p-3 ${scheduleIsStale ? 'opacity-50' : ''}`}>{describeCompletion(order)}</td>
+                                    <td className="p-3">
+                                        <div className="flex gap-2 text-sm">
+                                            <button onClick={() => setEditingOrder({ id: order.id, itemId: order.itemId, quantity: order.quantity, customer: order.customer || '', dueTime: order.dueTime || '', priority: order.priority || 'normal' })} className="text-gray-400 hover:text-indigo-400">Edit</button>
+                                            {order.quantity > 1 && (
+                                                <button onClick={() => setSplittingOrder({ ...order, splitQuantity: Math.floor(order.quantity / 2) })} className="text-gray-400 hover:text-indigo-400">Split</button>
+                                            )}
+                                            {mergeCandidates(orders, order.id).length > 0 && (
+                                                <button onClick={() => onSetOrders(mergeOrders(orders, order.id), `Merged orders for ${order.itemName}.`)} title="Combine with the other orders of this item for the same customer" className="text-gray-400 hover:text-indigo-400">Merge</button>
+                                            )}
+                                            <button onClick={() => setOrderToDelete(order.id)} className="text-gray-400 hover:text-red-500">Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            )) : (
+                                <tr><td colSpan="8" className="p-4 text-center text-gray-500">No orders added for today.</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            {alertInfo.show && <AlertModal message={alertInfo.message} onClose={() => setAlertInfo({ show: false, message: '' })} />}
+            {orderToDelete && <ConfirmationModal message="Are you sure you want to delete this order?" onConfirm={handleDeleteOrder} onCancel={() => setOrderToDelete(null)} />}
+            {confirmingReplace && <ConfirmationModal message="The current schedule has not been marked complete. Generating a new one replaces it without archiving it, so its shop floor progress stays out of Analytics and its material stays in stock. To keep it, mark it complete in Schedule View first." onConfirm={generateSchedule} onCancel={() => setConfirmingReplace(false)} />}
+            {splittingOrder && (
+                <Modal onClose={() => setSplittingOrder(null)}>
+                    <form onSubmit={handleSplitOrder} className="space-y-4">
+                        <h3 className="text-xl font-bold text-white">Split {splittingOrder.itemName} × {splittingOrder.quantity}</h3>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-1">Units for the new order</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max={splittingOrder.quantity - 1}
+                                value={splittingOrder.splitQuantity}
+                                onChange={e => setSplittingOrder({ ...splittingOrder, splitQuantity: e.target.value })}
+                                className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            />
+                            <p className="text-sm text-gray-400 mt-1">The new order keeps the customer, due time and priority; change them with Edit afterwards.</p>
+                        </div>
+                        <div className="flex justify-end gap-4">
+                            <button type="button" onClick={() => setSplittingOrder(null)} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-6 rounded-lg">Cancel</button>
+                            <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg">Split</button>
+                        </div>
+                    </form>
+                </Modal>
+            )}
+            {csvImport && (
+                <CsvImportPreview
+                    title="Import Orders"
+                    fileName={csvImport.fileName}
+                    result={csvImport.result}
+                    describeRow={row => `${row.values.item || '—'} × ${row.values.quantity}${row.values.customer ? ` · ${row.values.customer}` : ''}${row.values.dueTime ? ` · due ${row.values.dueTime}` : ''}`}
+                    onConfirm={handleConfirmCsvImport}
+                    onClose={() => setCsvImport(null)}
+                />
+            )}
+        </div>
+    );
+}
+
+// Minutes from the start of the workday on `date` ("YYYY-MM-DD", today when
+// the day has no date) to `now`, on the same axis as task start and end times.
+const minutesSinceWorkdayStart = (date, startHour, now = new Date()) => {
+    const [year, month, day] = date
+        ? date.split('-').map(n => parseInt(n, 10))
+        : [now.getFullYear(), now.getMonth() + 1, now.getDate()];
+    const midnight = new Date(year, month - 1, day);
+    return (now - midnight) / 60000 - startHour * 60;
+};
+
+// --- Schedule Timeline ---
+// One lane per machine with task bars sized by duration, breaks and downtime
+// shaded, and a marker at the current time when it falls inside the day.
+function ScheduleTimeline({ day, machines, settings }) {
+    const startHour = settings.workdayStartHour ?? 9;
+    const [now, setNow] = useState(() => minutesSinceWorkdayStart(day.date, startHour));
+
+    useEffect(() => {
+        setNow(minutesSinceWorkdayStart(day.date, startHour));
+        const timer = setInterval(() => setNow(minutesSinceWorkdayStart(day.date, startHour)), 60000);
+        return () => clearInterval(timer);
+    }, [day.date, startHour]);
+
+    const lanes = Object.entries(day.machineTimelines);
+    // The axis covers the configured workday, widened to any shift or task outside it
+    const axisStart = Math.min(0, ...lanes.flatMap(([, timeline]) => (timeline.windows || []).map(window => window.start)));
+    const axisEnd = Math.max(
+        (settings.workHours || 8) * 60,
+        ...lanes.flatMap(([, timeline]) => [...(timeline.windows || []).map(window => window.end), ...timeline.tasks.map(task => task.endTime)]),
+    );
+    const span = axisEnd - axisStart;
+    const position = (minutes) => `${((minutes - axisStart) / span) * 100}%`;
+    const width = (start, end) => `${((end - start) / span) * 100}%`;
+    const hourTicks = [];
+    for (let minutes = Math.ceil(axisStart / 60) * 60; minutes <= axisEnd; minutes += 60) hourTicks.push(minutes);
+
+    const barColor = (task) => {
+        if (task.status === 'failed') return 'bg-red-600';
+        if (task.status === 'done') return 'bg-green-600';
+        if (task.status === 'started') return 'bg-indigo-500';
+        return task.lateBy > 0 ? 'bg-orange-600' : 'bg-indigo-700';
+    };
+
+    const describeTask = (task) => {
+        const minutes = task.endTime - task.startTime;
+        return [
+            task.name,
+            describeRun(task),
+            task.customer,
+            `${formatTime(task.startTime, startHour)} - ${formatTime(task.endTime, startHour)} (${Math.round(minutes)} min)`,
+            task.changeover > 0 ? `Includes ${Math.ceil(task.changeover)} min changeover` : null,
+            `Profit: $${task.profit.toFixed(2)} · $${(minutes > 0 ? task.profit / minutes : 0).toFixed(2)}/min`,
+            task.lateBy > 0 ? `Late by ${Math.ceil(task.lateBy)} min` : null,
+        ].filter(Boolean).join('\n');
+    };
+
+    return (
+        <div className="bg-gray-800 rounded-xl p-4 overflow-x-auto">
+            <div className="min-w-[720px]">
+                <div className="flex">
+                    <div className="w-40 shrink-0" />
+                    <div className="relative flex-grow h-6 text-xs text-gray-400">
+                        {hourTicks.map(minutes => (
+                            <span key={minutes} className="absolute -translate-x-1/2" style={{ left: position(minutes) }}>
+                                {formatTime(minutes, startHour)}
+                            </span>
+                        ))}
+                    </div>
+                </div>
+                {lanes.map(([machineId, timeline]) => {
+                    const open = (timeline.windows || []).reduce((sum, window) => sum + (window.end - window.start), 0);
+                    const busy = timeline.tasks.reduce((sum, task) => sum + (task.endTime - task.startTime), 0);
+                    return (
+                        <div key={machineId} className="flex items-center border-t border-gray-700 py-2">
+                            <div className="w-40 shrink-0 pr-3">
+                                <p className="font-semibold truncate">{machines.find(m => m.id === machineId)?.name || timeline.name || machineId}</p>
+                                <p className="text-xs text-gray-400">{open > 0 ? `${Math.round((busy / open) * 100)}% busy` : 'Closed'}</p>
+                            </div>
+                            <div className="relative flex-grow h-10 bg-gray-900/60 rounded">
+                                {hourTicks.map(minutes => (
+                                    <div key={minutes} className="absolute top-0 bottom-0 border-l border-gray-700/60" style={{ left: position(minutes) }} />
+                                ))}
+                                {(timeline.blocks || []).map((block, index) => (
+                                    <div
+                                        key={`block-${index}`}
+                                        title={`${block.label || (block.type === 'downtime' ? 'Downtime' : 'Break')} ${formatTime(block.start, startHour)} - ${formatTime(block.end, startHour)}`}
+                                        className={`absolute top-0 bottom-0 ${block.type === 'downtime' ? 'bg-red-500/20' : 'bg-gray-600/40'}`}
+                                        style={{ left: position(block.start), width: width(block.start, block.end) }}
+                                    />
+                                ))}
+                                {timeline.tasks.flatMap(task => (task.segments || [{ start: task.startTime, end: task.endTime }]).map((segment, index) => (
+                                    <div
+                                        key={`${task.id}-${index}`}
+                                        title={describeTask(task)}
+                                        className={`absolute top-1 bottom-1 rounded border border-gray-900/60 text-xs text-white px-1 overflow-hidden whitespace-nowrap ${barColor(task)}`}
+                                        style={{ left: position(segment.start), width: width(segment.start, segment.end) }}
+                                    >
+                                        {task.name}
+                                    </div>
+                                )))}
+                                {now >= axisStart && now <= axisEnd && (
+                                    <div className="absolute -top-1 -bottom-1 border-l-2 border-red-400" style={{ left: position(now) }} title={`Now: ${formatTime(now, startHour)}`} />
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+// --- Job Sheets ---
+// Printable work orders for one planned day: a summary page, then one page
+// per machine with its tasks in run order and boxes to tick off. Rendered
+// next to the app root and shown only by the print stylesheet (print.css).
+function JobSheets({ schedule, day, machines, items, materials, settings }) {
+    const startHour = settings.workdayStartHour ?? 9;
+    const machineName = (machineId, timeline) => machines.find(m => m.id === machineId)?.name || timeline.name || machineId;
+    const itemNotes = (task) => taskParts(task)
+        .map(part => ({ name: part.name, notes: items.find(item => item.id === part.itemId)?.notes }))
+        .filter(part => part.notes);
+    const setupOf = (task) => {
+        const item = items.find(i => i.id === (task.itemId || task.parts?.[0]?.itemId));
+        return item?.material ? describeSetup(setupKeyOf(item), items) : '';
+    };
+    const entriesOf = (timeline) => [
+        ...timeline.tasks.map(task => ({ start: task.startTime, task })),
+        ...(timeline.blocks || []).map(block => ({ start: block.start, block })),
+    ].sort((a, b) => a.start - b.start);
+    const pieces = (tasks) => tasks.reduce((sum, task) => sum + (task.quantity || 1), 0);
+    const lanes = Object.entries(day.machineTimelines);
+    const leftOver = [...(schedule.overflowTasks || []), ...(schedule.stockBlockedTasks || [])];
+    const leftOverRows = Object.values(leftOver.reduce((acc, task) => {
+        const key = `${task.customer || ''}::${task.name}::${task.blockedBy || ''}`;
+        if (!acc[key]) acc[key] = { key, name: task.name, customer: task.customer, blockedBy: task.blockedBy, pieces: 0, profit: 0 };
+        acc[key].pieces += task.quantity || 1;
+        acc[key].profit += task.profit;
+        return acc;
+    }, {}));
+    const materialName = (materialId) => {
+        const material = materials.find(m => m.id === materialId);
+        return material ? describeMaterial(material) : 'a removed material';
+    };
+    const dayLabel = `Day ${day.day}${day.date ? ` · ${day.date}` : ''}`;
+
+    return createPortal(
+        <div className="job-sheets">
+            <section className="job-sheet">
+                <h1>Daily Work Order</h1>
+                <div className="job-sheet-meta">
+                    <span>{dayLabel}</span>
+                    <span>Printed {new Date().toLocaleString()}</span>
+                    <span>Scheduled profit: ${day.totalProfit.toFixed(2)}</span>
+                    {day.changeoverMinutes > 0 && <span>Changeovers: {Math.ceil(day.changeoverMinutes)} min</span>}
+                </div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Machine</th>
+                            <th>Shift</th>
+                            <th className="number">Tasks</th>
+                            <th className="number">Pieces</th>
+                            <th className="number">Busy (min)</th>
+                            <th className="number">Profit</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {lanes.map(([machineId, timeline]) => (
+                            <tr key={machineId}>
+                                <td>{machineName(machineId, timeline)}</td>
+                                <td>{timeline.shift ? `${formatTime(timeline.shift.start, startHour)} - ${formatTime(timeline.shift.end, startHour)}` : 'Closed'}</td>
+                                <td className="number">{timeline.tasks.length}</td>
+                                <td className="number">{pieces(timeline.tasks)}</td>
+                                <td className="number">{Math.round(timeline.tasks.reduce((sum, task) => sum + task.endTime - task.startTime, 0))}</td>
+                                <td className="number">${timeline.tasks.reduce((sum, task) => sum + task.profit, 0).toFixed(2)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {day.lateTasks.length > 0 && (
+                    <>
+                        <h2>Late</h2>
+                        <p>{day.lateTasks.length} task(s) finish after their due time, up to {Math.ceil(Math.max(...day.lateTasks.map(task => task.lateBy)))} min late.</p>
+                    </>
+                )}
+                <h2>Not Scheduled</h2>
+                {leftOverRows.length > 0 ? (
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Item</th>
+                                <th>Customer</th>
+                                <th className="number">Pieces</th>
+                                <th>Reason</th>
+                                <th className="number">Profit</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {leftOverRows.map(row => (
+                                <tr key={row.key}>
+                                    <td>{row.name}</td>
+                                    <td>{row.customer}</td>
+                                    <td className="number">{row.pieces}</td>
+                                    <td>{row.blockedBy ? `Short of ${materialName(row.blockedBy)}` : 'No machine time left'}</td>
+                                    <td className="number">${row.profit.toFixed(2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <p>Every order fits the schedule.</p>
+                )}
+            </section>
+
+            {lanes.map(([machineId, timeline]) => (
+                <section key={machineId} className="job-sheet">
+                    <h1>{machineName(machineId, timeline)}</h1>
+                    <div className="job-sheet-meta">
+                        <span>{dayLabel}</span>
+                        {timeline.shift && <span>Shift {formatTime(timeline.shift.start, startHour)} - {formatTime(timeline.shift.end, startHour)}</span>}
+                        <span>{timeline.tasks.length} task(s), {pieces(timeline.tasks)} piece(s)</span>
+                        {timeline.startSetup && <span>Starts set up for {describeSetup(timeline.startSetup, items)}</span>}
+                    </div>
+                    {timeline.tasks.length === 0 ? (
+                        <p>No tasks scheduled for this machine.</p>
+                    ) : (
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th className="number">#</th>
+                                    <th>Start</th>
+                                    <th>End</th>
+                                    <th>Item</th>
+                                    <th className="number">Qty</th>
+                                    <th>Customer</th>
+                                    <th>Setup</th>
+                                    <th>Done</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {entriesOf(timeline).map((entry, index) => (entry.block ? (
+                                    <tr key={`block-${index}`} className="break-row">
+                                        <td />
+                                        <td>{formatTime(entry.block.start, startHour)}</td>
+                                        <td>{formatTime(entry.block.end, startHour)}</td>
+                                        <td colSpan="5">{entry.block.label || (entry.block.type === 'downtime' ? 'Downtime' : 'Break')}</td>
+                                    </tr>
+                                ) : (
+                                    <tr key={entry.task.id}>
+                                        <td className="number">{timeline.tasks.filter(task => task.startTime <= entry.task.startTime).length}</td>
+                                        <td>{formatTime(entry.task.startTime, startHour)}</td>
+                                        <td>{formatTime(entry.task.endTime, startHour)}</td>
+                                        <td>
+                                            {entry.task.name}
+                                            {describeRun(entry.task) && <div className="note">{describeRun(entry.task)}</div>}
+                                            {entry.task.changeover > 0 && <div className="note">Includes {Math.ceil(entry.task.changeover)} min changeover</div>}
+                                            {itemNotes(entry.task).map(part => (
+                                                <div key={part.name} className="note">{entry.task.parts ? `${part.name}: ` : ''}{part.notes}</div>
+                                            ))}
+                                        </td>
+                                        <td className="number">{entry.task.quantity || 1}</td>
+                                        <td>{entry.task.customer}</td>
+                                        <td>{setupOf(entry.task)}</td>
+                                        <td><span className="checkbox" /></td>
+                                    </tr>
+                                )))}
+                            </tbody>
+                        </table>
+                    )}
+                    <div className="job-sheet-signoff">
+                        <span>Operator</span>
+                        <span>Checked by</span>
+                    </div>
+                </section>
+            ))}
+        </div>,
+        document.body,
+    );
+}
+
+// --- Schedule Drag and Drop ---
+const SCHEDULED_TASK = 'scheduledTask';
+
+// A task that can be picked up. Dropping another task onto it inserts that
+// task just before it on the same machine.
+const DraggableTask = ({ taskId, machineId, index, enabled, onMove, className, children }) => {
+    const [{ isDragging }, drag] = useDrag(() => ({
+        type: SCHEDULED_TASK,
+        item: { taskId, fromMachineId: machineId },
+        canDrag: () => enabled,
+        collect: monitor => ({ isDragging: monitor.isDragging() }),
+    }), [taskId, machineId, enabled]);
+    const [{ isOver }, drop] = useDrop(() => ({
+        accept: SCHEDULED_TASK,
+        canDrop: () => enabled && machineId !== null,
+        drop: (dragged) => onMove(dragged, machineId, index),
+        collect: monitor => ({ isOver: monitor.isOver({ shallow: true }) && monitor.canDrop() }),
+    }), [machineId, index, enabled, onMove]);
+
+    return (
+        <div ref={node => drag(drop(node))} className={`${className} ${enabled ? 'cursor-move' : ''} ${isDragging ? 'opacity-40' : ''} ${isOver ? 'ring-2 ring-indigo-400' : ''}`}>
+            {children}
+        </div>
+    );
+};
+
+// A machine column or the overflow list. Tasks dropped here go to the end,
+// unless they were already dropped on one of its task cards.
+const TaskDropZone = ({ machineId, enabled, onMove, className, children }) => {
+    const [{ isOver }, drop] = useDrop(() => ({
+        accept: SCHEDULED_TASK,
+        canDrop: () => enabled,
+        drop: (dragged, monitor) => {
+            if (!monitor.didDrop()) onMove(dragged, machineId, null);
+        },
+        collect: monitor => ({ isOver: monitor.isOver() && monitor.canDrop() }),
+    }), [machineId, enabled, onMove]);
+
+    return (
+        <div ref={drop} className={`${className} ${isOver ? 'ring-2 ring-indigo-500/60' : ''}`}>
+            {children}
+        </div>
+    );
+};
+
+// --- Shop Floor ---
+const TASK_STATUS_STYLES = {
+    pending: 'bg-gray-600 text-gray-200',
+    started: 'bg-indigo-600 text-white',
+    done: 'bg-green-600 text-white',
+    failed: 'bg-red-600 text-white',
+};
+
+// Operator view of one planned day: each machine's tasks in run order with
+// buttons to report them started, done or failed.
+function ShopFloorView({ day, machines, settings, onEvent, onReplan }) {
+    const startHour = settings.workdayStartHour ?? 9;
+    const runOrder = (tasks) => [...tasks].sort((a, b) => a.startTime - b.startTime);
+    const [failing, setFailing] = useState(null);
+
+    // A single piece is scrapped outright; for runs the operator says how many
+    const handleFail = (machineId, task) => {
+        if (taskParts(task).reduce((sum, part) => sum + part.quantity, 0) === 1) onEvent(machineId, task.id, 'fail');
+        else setFailing({ machineId, task });
+    };
+
+    const scrapSummary = (task) => {
+        const parts = taskParts(task);
+        const scrapped = parts.reduce((sum, part) => sum + scrapCountOf(task, part), 0);
+        const total = parts.reduce((sum, part) => sum + part.quantity, 0);
+        return scrapped < total ? `${scrapped} of ${total} pcs scrapped` : null;
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex justify-between items-center bg-gray-800 rounded-xl p-4">
+                <p className="text-gray-400 text-sm">
+                    Report each task as it starts and finishes. The rest of the day is re-planned from the current time; the scrapped pieces of a failed task are queued again.
+                </p>
+                <button onClick={onReplan} className="shrink-0 ml-4 bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg">
+                    Re-plan from Now
+                </button>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {Object.entries(day.machineTimelines).map(([machineId, timeline]) => (
+                    <div key={machineId} className="bg-gray-800 rounded-xl p-4">
+                        <h3 className="text-xl font-semibold mb-3 border-b border-gray-700 pb-2">{machines.find(m => m.id === machineId)?.name || timeline.name || machineId}</h3>
+                        {timeline.tasks.length === 0 && <p className="text-gray-500">No tasks scheduled for this machine.</p>}
+                        <ul className="space-y-2">
+                            {runOrder(timeline.tasks).map(task => {
+                                const status = task.status || 'pending';
+                                return (
+                                    <li key={task.id} className="flex justify-between items-center gap-3 bg-gray-700/50 p-3 rounded-lg">
+                                        <div>
+                                            <p className="font-bold">
+                                                {task.name}
+                                                <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-semibold ${TASK_STATUS_STYLES[status]}`}>{status}</span>
+                                            </p>
+                                            {describeRun(task) && <p className="text-sm text-indigo-300">{describeRun(task)}</p>}
+                                            {task.customer && <p className="text-sm text-gray-300">{task.customer}</p>}
+                                            <p className="text-sm text-gray-400">
+                                                {status === 'pending' ? 'Planned' : 'Actual'} {formatTime(task.startTime, startHour)} - {status === 'started' ? `expected ${formatTime(task.endTime, startHour)}` : formatTime(task.endTime, startHour)}
+                                                {task.plannedStart !== undefined && <span> (planned {formatTime(task.plannedStart, startHour)} - {formatTime(task.plannedEnd, startHour)})</span>}
+                                            </p>
+                                            {status === 'failed' && scrapSummary(task) && <p className="text-xs text-red-300">{scrapSummary(task)}</p>}
+                                            {task.requeuedFrom && <p className="text-xs text-yellow-300">Re-run of scrapped {task.run || task.parts ? 'pieces' : 'part'}</p>}
+                                        </div>
+                                        <div className="flex gap-2 shrink-0">
+                                            {status === 'pending' && (
+                                                <button onClick={() => onEvent(machineId, task.id, 'start')} className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-bold py-1.5 px-3 rounded-lg">Start</button>
+                                            )}
+                                            {status === 'started' && (
+                                                <>
+                                                    <button onClick={() => onEvent(machineId, task.id, 'done')} className="bg-green-600 hover:bg-green-700 text-white text-sm font-bold py-1.5 px-3 rounded-lg">Done</button>
+                                                    <button onClick={() => handleFail(machineId, task)} className="bg-red-600 hover:bg-red-700 text-white text-sm font-bold py-1.5 px-3 rounded-lg">Fail</button>
+                                                </>
+                                            )}
+                                        </div>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+            {failing && (
+                <ScrapModal
+                    task={failing.task}
+                    onConfirm={counts => { onEvent(failing.machineId, failing.task.id, 'fail', counts); setFailing(null); }}
+                    onCancel={() => setFailing(null)}
+                />
+            )}
+        </div>
+    );
+}
+
+// Asks how many pieces of a failed run were scrapped, per item for a mixed run.
+function ScrapModal({ task, onConfirm, onCancel }) {
+    const parts = taskParts(task);
+    const [counts, setCounts] = useState(() => parts.map(part => String(part.quantity)));
+    const values = counts.map(count => parseInt(count, 10));
+    const valid = values.every((value, i) => value >= 0 && value <= parts[i].quantity) && values.some(value => value > 0);
+
+    return (
+        <Modal onClose={onCancel} showCloseButton={false}>
+            <h3 className="text-xl font-bold text-white mb-2">Scrapped Pieces</h3>
+            <p className="text-gray-300 mb-4">How many pieces of {task.name} were scrapped? They are queued again; the rest count as made.</p>
+            <div className="space-y-3 mb-6">
+                {parts.map((part, i) => (
+                    <label key={`${part.orderId}-${i}`} className="flex items-center justify-between gap-4">
+                        <span className="text-gray-300">{part.name}{part.customer && <span className="text-gray-500"> · {part.customer}</span>}</span>
+                        <span className="flex items-center gap-2 text-gray-400">
+                            <input
+                                type="number"
+                                min="0"
+                                max={part.quantity}
+                                step="1"
+                                value={counts[i]}
+                                onChange={e => setCounts(counts.map((count, j) => (j === i ? e.target.value : count)))}
+                                className="w-20 bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            />
+                            of {part.quantity}
+                        </span>
+                    </label>
+                ))}
+            </div>
+            <div className="flex justify-end gap-3">
+                <button onClick={onCancel} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg">Cancel</button>
+                <button onClick={() => onConfirm(values)} disabled={!valid} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg disabled:bg-gray-500 disabled:cursor-not-allowed">Mark Failed</button>
+            </div>
+        </Modal>
+    );
+}
+
+function ScheduleView({ schedule, orders, items, machines, materials, settings, onUpdateSchedule, onCompleteSchedule }) {
+    const [selectedDay, setSelectedDay] = useState(1);
+    const [viewMode, setViewMode] = useState('cards');
+    const [alertInfo, setAlertInfo] = useState(null);
+
+    const scheduleData = schedule?.machineTimelines ? schedule : null;
+    // Schedules saved before the engine stored its result only carry the orders
+    const isLegacySchedule = Boolean(schedule && !schedule.machineTimelines && schedule.orders);
+
+    // Plans a legacy schedule's orders once, on request, like Generate Schedule does
+    const handleRebuildLegacy = () => {
+        const result = buildSchedule({ items, machines, orders: schedule.orders, materials, settings, scheduleDate: toDateString(new Date()) });
+        onUpdateSchedule({ ...schedule, generatedAt: new Date().toISOString(), ...result });
+    };
+
+    // Groups tasks by customer and item so each order shows up as one row
+    const groupByCustomer = (tasks) => Object.values(tasks.reduce((acc, task) => {
+        const key = `${task.customer || ''}::${task.name}`;
+        if (!acc[key]) acc[key] = { key, customer: task.customer, name: task.name, count: 0, lateBy: 0, taskIds: [] };
+        acc[key].count += task.quantity || 1;
+        acc[key].taskIds.push(task.id);
+        acc[key].lateBy = Math.max(acc[key].lateBy, task.lateBy || 0);
+        return acc;
+    }, {}));
+
+    // Tasks interleaved with the machine's breaks and downtime, in time order
+    const timelineEntries = (timeline) => [
+        ...timeline.tasks.map(task => ({ start: task.startTime, task })),
+        ...(timeline.blocks || []).map(block => ({ start: block.start, block })),
+    ].sort((a, b) => a.start - b.start);
 
     const aggregatedOverflow = useMemo(() => {
-        if (!scheduleData || !scheduleData.overflowTasks) return { items: {}, totalProfit: 0 };
+        if (!scheduleData || !scheduleData.overflowTasks) return { items: [], totalProfit: 0 };
+        return { items: groupByCustomer(scheduleData.overflowTasks), totalProfit: scheduleData.overflowProfit };
+    }, [scheduleData]);
 
-        const items = scheduleData.overflowTasks.reduce((acc, task) => {
-            acc[task.name] = (acc[task.name] || 0) + 1;
+    const aggregatedStockBlocked = useMemo(() => {
+        if (!scheduleData || !scheduleData.stockBlockedTasks) return [];
+        return Object.values(scheduleData.stockBlockedTasks.reduce((acc, task) => {
+            const key = `${task.customer || ''}::${task.name}::${task.blockedBy}`;
+            if (!acc[key]) acc[key] = { key, customer: task.customer, name: task.name, blockedBy: task.blockedBy, count: 0 };
+            acc[key].count += task.quantity || 1;
             return acc;
-        }, {});
-
-        const totalProfit = scheduleData.overflowTasks.reduce((sum, task) => sum + task.profit, 0);
+        }, {}));
+    }, [scheduleData]);
 
-        return { items, totalProfit };
+    const aggregatedLate = useMemo(() => {
+        if (!scheduleData || !scheduleData.lateTasks) return [];
+        return groupByCustomer(scheduleData.lateTasks);
     }, [scheduleData]);
 
-    if (!scheduleData) {
-        return (
-            <div className="text-center p-8 bg-gray-800 rounded-xl">
-                <Icon path="M6.75 3v2.25M17.25 3v2.25M3 18.75V7.5a2.25 2.25 0 012.25-2.25h13.5A2.25 2.25 0 0121 7.5v11.25m-18 0A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75m-18 0h18M12 12.75h.008v.008H12v-.008z" className="w-16 h-16 mx-auto text-gray-500 mb-4" />
-                <h3 className="text-2xl font-bold">No Schedule Generated</h3>
-                <p className="text-gray-400 mt-2">Go to the Daily Planner to add orders and generate a schedule for today.</p>
-            </div>
-        );
-    }
+    if (isLegacySchedule) {
+        return (
+            <div className="text-center p-8 bg-gray-800 rounded-xl">
+                <h3 className="text-2xl font-bold">Schedule Needs Rebuilding</h3>
+                <p className="text-gray-400 mt-2">This schedule was saved by an older version that kept only its orders. Plan those orders again to view it.</p>
+                <button onClick={handleRebuildLegacy} disabled={items.length === 0 || machines.length === 0} className="mt-4 bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg disabled:bg-gray-500 disabled:cursor-not-allowed">
+                    Rebuild Schedule
+                </button>
+            </div>
+        );
+    }
+
+    if (!scheduleData) {
+        return (
+            <div className="text-center p-8 bg-gray-800 rounded-xl">
+                <Icon path="M6.75 3v2.25M17.25 3v2.25M3 18.75V7.5a2.25 2.25 0 012.25-2.25h13.5A2.25 2.25 0 0121 7.5v11.25m-18 0A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75m-18 0h18M12 12.75h.008v.008H12v-.008z" className="w-16 h-16 mx-auto text-gray-500 mb-4" />
+                <h3 className="text-2xl font-bold">No Schedule Generated</h3>
+                <p className="text-gray-400 mt-2">Go to the Daily Planner to add orders and generate a schedule for today.</p>
+            </div>
+        );
+    }
+
+    // Schedules from before multi-day planning are a single day
+    const days = scheduleData.days || [{ ...scheduleData, day: 1 }];
+    const currentDay = days[Math.min(selectedDay, days.length) - 1];
+    const { machineTimelines: optimizedSchedule } = currentDay;
+    const { totalProfit, greedyProfit, optimizer } = scheduleData;
+    const optimizerGain = totalProfit - greedyProfit;
+
+    // Manual edits only apply to schedules stored with the engine's result
+    const canEdit = Boolean(schedule?.machineTimelines);
+
+    // Every planned day of one machine, for the operator's run sheet
+    const handleExportMachineCsv = (machineId, timelineName) => {
+        const name = machines.find(m => m.id === machineId)?.name || timelineName || machineId;
+        const csv = machineScheduleToCsv(scheduleData, machineId, minutes => formatTime(minutes, settings.workdayStartHour));
+        downloadFile(`schedule-${name.replace(/[^\w-]+/g, '_')}-${scheduleData.scheduleDate || toDateString(new Date())}.csv`, csv, 'text/csv');
+    };
+
+    // Every planned day as calendar events, for one machine or (without an id) all of them
+    const handleExportCalendar = (machineId = null, timelineName = '') => {
+        const name = machineId ? (machines.find(m => m.id === machineId)?.name || timelineName || machineId) : 'all-machines';
+        const ics = scheduleToIcs(scheduleData, { machines, settings, machineIds: machineId ? [machineId] : null });
+        downloadFile(`schedule-${name.replace(/[^\w-]+/g, '_')}-${scheduleData.scheduleDate || toDateString(new Date())}.ics`, ics, 'text/calendar');
+    };
+
+    const handleComplete = () => {
+        const updatedMaterials = consumeStock(materials, producedMaterialUse(scheduleData));
+        onCompleteSchedule(updatedMaterials);
+        const lowStock = belowReorderPoint(updatedMaterials);
+        setAlertInfo({
+            title: 'Schedule Completed',
+            message: lowStock.length > 0
+                ? `Stock updated. Below reorder point:\n${lowStock.map(material => `${describeMaterial(material)}: ${material.stock} left (reorder at ${material.reorderPoint})`).join('\n')}`
+                : 'Stock updated for the material the finished tasks used. The schedule and its results are archived in Analytics.',
+        });
+    };
+
+    const materialName = (materialId) => {
+        const material = materials.find(m => m.id === materialId);
+        return material ? describeMaterial(material) : 'a removed material';
+    };
+
+    const nowOnSchedule = () => minutesSinceWorkdayStart(currentDay.date, settings.workdayStartHour ?? 9, new Date());
+
+    const handleTaskEvent = (machineId, taskId, event, scrapped = null) => {
+        const { schedule: updated, error } = recordTaskEvent(schedule, { dayNumber: currentDay.day, machineId, taskId, event, now: nowOnSchedule(), scrapped }, settings);
+        if (error) {
+            setAlertInfo({ title: "Can't Update Task", message: error });
+            return;
+        }
+        onUpdateSchedule(updated);
+    };
+
+    const handleReplan = () => {
+        const { schedule: updated, error } = replanFromNow(schedule, { dayNumber: currentDay.day, now: nowOnSchedule() }, settings);
+        if (error) {
+            setAlertInfo({ title: "Can't Re-plan", message: error });
+            return;
+        }
+        onUpdateSchedule(updated);
+    };
 
-    const { schedule: optimizedSchedule, totalProfit } = scheduleData;
+    const handleMove = (dragged, toMachineId, toIndex) => {
+        if (dragged.fromMachineId === null && toMachineId === null) return;
+        const { schedule: updated, error } = applyManualMove(schedule, {
+            dayNumber: currentDay.day,
+            taskId: dragged.taskId,
+            fromMachineId: dragged.fromMachineId,
+            toMachineId,
+            toIndex,
+        }, settings);
+        if (error) {
+            setAlertInfo({ title: "Can't Move Task", message: error });
+            return;
+        }
+        onUpdateSchedule(updated);
+    };
 
     return (
         <div className="space-y-6">
+            {isScheduleStale(schedule, orders) && (
+                <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-lg p-4 text-yellow-300">
+                    This schedule is out of date: the orders changed after it was generated. Generate it again in the Daily Planner.
+                </div>
+            )}
+            {alertInfo && <AlertModal title={alertInfo.title} message={alertInfo.message} onClose={() => setAlertInfo(null)} />}
             <div className="flex flex-wrap justify-between items-center gap-4">
-                 <h2 className="text-3xl font-bold">Optimized Schedule View</h2>
+                 <div>
+                     <h2 className="text-3xl font-bold">Optimized Schedule View</h2>
+                     {scheduleData.manualEdits > 0 ? (
+                         <p className="text-sm text-indigo-300">Edited manually ({scheduleData.manualEdits} {scheduleData.manualEdits === 1 ? 'change' : 'changes'}). Generating again discards the edits.</p>
+                     ) : canEdit && (
+                         <p className="text-sm text-gray-400">Drag tasks to reorder them, move them between machines or take them off the schedule.</p>
+                     )}
+                     {canEdit && (scheduleData.completedAt ? (
+                         <p className="text-sm text-green-400">Completed {new Date(scheduleData.completedAt).toLocaleString()}; material taken out of stock and the schedule archived for Analytics.</p>
+                     ) : (
+                         <button onClick={handleComplete} className="mt-2 bg-green-600 hover:bg-green-700 text-white text-sm font-bold py-1.5 px-3 rounded-lg">
+                             Mark Schedule Complete
+                         </button>
+                     ))}
+                 </div>
                  <div className="flex items-center gap-4">
+                     {scheduleData.mode === 'optimize' && (
+                         <div className="bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-center">
+                            <p className="text-sm text-gray-400">Greedy Profit</p>
+                            <p className="text-2xl font-bold text-gray-300">${greedyProfit.toFixed(2)}</p>
+                         </div>
+                     )}
+                     {days.length > 1 && (
+                         <div className="bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-center">
+                            <p className="text-sm text-gray-400">Day {currentDay.day} Profit</p>
+                            <p className="text-2xl font-bold text-gray-300">${currentDay.totalProfit.toFixed(2)}</p>
+                         </div>
+                     )}
                      <div className="bg-green-500/10 border border-green-500/30 rounded-lg px-4 py-2 text-center">
                         <p className="text-sm text-green-300">Scheduled Profit</p>
                         <p className="text-2xl font-bold text-green-400">${totalProfit.toFixed(2)}</p>
+                        {scheduleData.changeoverMinutes > 0 && (
+                            <p className="text-xs text-yellow-300">after {Math.ceil(scheduleData.changeoverMinutes)} min of changeovers</p>
+                        )}
+                        {scheduleData.mode === 'optimize' && (
+                            <p className="text-xs text-green-300">
+                                {optimizerGain > 0 ? `+$${optimizerGain.toFixed(2)} vs. greedy` : 'Same as greedy'}
+                                {optimizer && !optimizer.complete && ' (search budget reached)'}
+                            </p>
+                        )}
                      </div>
                  </div>
             </div>
 
-            <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
-                {Object.entries(optimizedSchedule).map(([machineName, data]) => (
-                    <div key={machineName} className="bg-gray-800 rounded-xl p-4">
-                        <h3 className="text-xl font-semibold mb-4 border-b border-gray-700 pb-2">{machineName}</h3>
-                        <div className="space-y-3">
-                            {data.tasks.length > 0 ? data.tasks.map((task, index) => (
-                                <div key={index} className="bg-gray-700/50 p-3 rounded-lg">
-                                    <p className="font-bold">{task.name}</p>
-                                    <p className="text-sm text-gray-400">
-                                        Time: {formatTime(task.startTime, settings.workdayStartHour)} - {formatTime(task.endTime, settings.workdayStartHour)}
-                                    </p>
-                                    <p className="text-sm text-green-400">Profit: ${task.profit.toFixed(2)}</p>
+            <div className="flex flex-wrap justify-between items-center gap-4">
+                {days.length > 1 ? (
+                    <div className="flex flex-wrap items-center gap-1 bg-gray-700/50 p-1 rounded-lg w-fit">
+                        {days.map(day => (
+                            <button
+                                key={day.day}
+                                onClick={() => setSelectedDay(day.day)}
+                                className={`px-4 py-2 text-sm font-medium rounded-md transition-all duration-200 ${currentDay.day === day.day ? 'bg-indigo-600 shadow-lg' : 'text-gray-300 hover:bg-gray-600/50'}`}
+                            >
+                                Day {day.day}{day.date && <span className="text-gray-300"> · {day.date}</span>}
+                            </button>
+                        ))}
+                    </div>
+                ) : <div />}
+                <div className="flex items-center gap-2">
+                    <button onClick={() => window.print()} title="One page per machine plus a summary, for the current day" className="bg-gray-600 hover:bg-gray-700 text-white text-sm font-bold py-2 px-4 rounded-lg">
+                        Print Job Sheets
+                    </button>
+                    <button onClick={() => handleExportCalendar()} title="Every machine's tasks as one .ics calendar" className="bg-gray-600 hover:bg-gray-700 text-white text-sm font-bold py-2 px-4 rounded-lg">
+                        Export Calendar
+                    </button>
+                    <div className="flex items-center gap-1 bg-gray-700/50 p-1 rounded-lg w-fit">
+                        {[['cards', 'Cards'], ['timeline', 'Timeline'], ...(canEdit ? [['floor', 'Shop Floor']] : [])].map(([mode, label]) => (
+                            <button
+                                key={mode}
+                                onClick={() => setViewMode(mode)}
+                                className={`px-4 py-2 text-sm font-medium rounded-md transition-all duration-200 ${viewMode === mode ? 'bg-indigo-600 shadow-lg' : 'text-gray-300 hover:bg-gray-600/50'}`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            <JobSheets schedule={scheduleData} day={currentDay} machines={machines} items={items} materials={materials} settings={settings} />
+
+            {viewMode === 'timeline' && <ScheduleTimeline day={currentDay} machines={machines} settings={settings} />}
+            {viewMode === 'floor' && canEdit && <ShopFloorView day={currentDay} machines={machines} settings={settings} onEvent={handleTaskEvent} onReplan={handleReplan} />}
+            {viewMode === 'cards' && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
+                    {Object.entries(optimizedSchedule).map(([machineId, data]) => (
+                        <TaskDropZone key={machineId} machineId={machineId} enabled={canEdit} onMove={handleMove} className="bg-gray-800 rounded-xl p-4">
+                            <div className="flex justify-between items-baseline mb-4 border-b border-gray-700 pb-2">
+                                <div>
+                                    <h3 className="text-xl font-semibold">{machines.find(m => m.id === machineId)?.name || data.name || machineId}</h3>
+                                    {data.changeoverMinutes > 0 && (
+                                        <p className="text-xs text-yellow-300">{Math.ceil(data.changeoverMinutes)} min lost to changeovers</p>
+                                    )}
+                                    {data.operatingCost > 0 && (
+                                        <p className="text-xs text-gray-400">Operating cost ${data.operatingCost.toFixed(2)}</p>
+                                    )}
                                 </div>
-                            )) : (
-                                <p className="text-gray-500">No tasks scheduled for this machine.</p>
-                            )}
+                                <div className="text-right">
+                                    {data.shift && (
+                                        <span className="text-sm text-gray-400">
+                                            {formatTime(data.shift.start, settings.workdayStartHour)} - {formatTime(data.shift.end, settings.workdayStartHour)}
+                                        </span>
+                                    )}
+                                    <button onClick={() => handleExportMachineCsv(machineId, data.name)} className="block ml-auto text-xs text-indigo-300 hover:text-indigo-200">
+                                        Export CSV
+                                    </button>
+                                    <button onClick={() => handleExportCalendar(machineId, data.name)} className="block ml-auto text-xs text-indigo-300 hover:text-indigo-200">
+                                        Export Calendar
+                                    </button>
+                                </div>
+                            </div>
+                            <div className="space-y-3">
+                                {data.tasks.length === 0 && (
+                                    <p className="text-gray-500">No tasks scheduled for this machine.</p>
+                                )}
+                                {timelineEntries(data).map((entry, index) => entry.block ? (
+                                    <div key={`block-${index}`} className={`p-2 rounded-lg border border-dashed text-sm ${entry.block.type === 'downtime' ? 'border-red-500/50 bg-red-500/10 text-red-300' : 'border-gray-600 bg-gray-900/40 text-gray-400'}`}>
+                                        <span className="font-semibold">{entry.block.label || (entry.block.type === 'downtime' ? 'Downtime' : 'Break')}</span>
+                                        {' '}{formatTime(entry.block.start, settings.workdayStartHour)} - {formatTime(entry.block.end, settings.workdayStartHour)}
+                                    </div>
+                                ) : (
+                                    <DraggableTask
+                                        key={entry.task.id || index}
+                                        taskId={entry.task.id}
+                                        machineId={machineId}
+                                        index={data.tasks.indexOf(entry.task)}
+                                        enabled={canEdit}
+                                        onMove={handleMove}
+                                        className={`bg-gray-700/50 p-3 rounded-lg ${entry.task.lateBy > 0 ? 'border border-red-500/60' : ''}`}
+                                    >
+                                        <p className="font-bold">
+                                            {entry.task.name}
+                                            {entry.task.status && <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-semibold ${TASK_STATUS_STYLES[entry.task.status]}`}>{entry.task.status}</span>}
+                                        </p>
+                                        {describeRun(entry.task) && <p className="text-sm text-indigo-300">{describeRun(entry.task)}</p>}
+                                        {entry.task.customer && <p className="text-sm text-gray-300">{entry.task.customer}</p>}
+                                        <p className="text-sm text-gray-400">
+                                            Time: {formatTime(entry.task.startTime, settings.workdayStartHour)} - {formatTime(entry.task.endTime, settings.workdayStartHour)}
+                                        </p>
+                                        {entry.task.changeover > 0 && (
+                                            <p className="text-xs text-yellow-300">Includes {Math.ceil(entry.task.changeover)} min changeover</p>
+                                        )}
+                                        {entry.task.segments?.length > 1 && (
+                                            <p className="text-xs text-gray-400">Paused for a break, runs in {entry.task.segments.length} parts</p>
+                                        )}
+                                        <p className="text-sm text-green-400">
+                                            Profit: ${entry.task.profit.toFixed(2)}
+                                            {entry.task.operatingCost > 0 && <span className="text-gray-400"> (after ${entry.task.operatingCost.toFixed(2)} machine cost)</span>}
+                                        </p>
+                                        {entry.task.lateBy > 0 && (
+                                            <p className="text-sm text-red-400 font-semibold">
+                                                Late by {Math.ceil(entry.task.lateBy)} min (due {formatTime(entry.task.dueMinutes, settings.workdayStartHour)})
+                                            </p>
+                                        )}
+                                    </DraggableTask>
+                                ))}
+                            </div>
+                        </TaskDropZone>
+                    ))}
+                </div>
+            )}
+
+            {aggregatedLate.length > 0 && (
+                <div className="mt-8">
+                    <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 mb-4">
+                        <h3 className="text-2xl font-bold text-red-300">Late Orders</h3>
+                        <p className="text-red-400">These items are scheduled but will finish after their due time.</p>
+                    </div>
+                    <div className="bg-gray-800 rounded-xl p-4">
+                        <ul className="space-y-2">
+                            {aggregatedLate.map(group => (
+                                <li key={group.key} className="flex justify-between items-center bg-gray-700/50 p-3 rounded-lg">
+                                    <span className="font-medium">{group.name}{group.customer && <span className="text-gray-400"> — {group.customer}</span>}</span>
+                                    <span className="font-bold text-red-400">x {group.count}, up to {Math.ceil(group.lateBy)} min late</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+            )}
+
+            {aggregatedStockBlocked.length > 0 && (
+                <div className="mt-8">
+                    <div className="flex justify-between items-center bg-orange-500/10 border border-orange-500/30 rounded-lg p-4 mb-4">
+                        <div>
+                            <h3 className="text-2xl font-bold text-orange-300">Blocked by Stock</h3>
+                            <p className="text-orange-400">There is not enough material in stock for these items. Restock and generate the schedule again.</p>
+                        </div>
+                        <div className="text-right">
+                             <p className="text-sm text-orange-300">Profit on Hold</p>
+                             <p className="text-2xl font-bold text-orange-400">${scheduleData.stockBlockedProfit.toFixed(2)}</p>
                         </div>
                     </div>
-                ))}
-            </div>
+                    <div className="bg-gray-800 rounded-xl p-4">
+                        <ul className="space-y-2">
+                            {aggregatedStockBlocked.map(group => (
+                                <li key={group.key} className="flex justify-between items-center bg-gray-700/50 p-3 rounded-lg">
+                                    <span className="font-medium">{group.name}{group.customer && <span className="text-gray-400"> — {group.customer}</span>}</span>
+                                    <span className="font-bold text-orange-400">x {group.count}, short of {materialName(group.blockedBy)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+            )}
+
+            {scheduleData.overflowTasks.length === 0 && canEdit && (
+                <TaskDropZone machineId={null} enabled={canEdit} onMove={handleMove} className="mt-8 p-4 rounded-xl border border-dashed border-gray-600 text-center text-gray-400">
+                    Drop a task here to take it off the schedule.
+                </TaskDropZone>
+            )}
 
             {scheduleData.overflowTasks.length > 0 && (
-                 <div className="mt-8">
+                 <TaskDropZone machineId={null} enabled={canEdit} onMove={handleMove} className="mt-8 rounded-xl">
                     <div className="flex justify-between items-center bg-yellow-500/10 border border-yellow-500/30 rounded-lg p-4 mb-4">
                         <div>
                             <h3 className="text-2xl font-bold text-yellow-300">Overflow Orders</h3>
-                            <p className="text-yellow-400">These items could not be scheduled within the workday.</p>
+                            <p className="text-yellow-400">
+                                {days.length > 1 ? `These items could not be scheduled within ${days.length} days.` : 'These items could not be scheduled within the workday.'}
+                            </p>
                         </div>
                         <div className="text-right">
                              <p className="text-sm text-yellow-300">Missed Profit</p>
@@ -648,23 +2630,467 @@ function ScheduleView({ scheduleOrders, items, machines, settings }) {
                     </div>
                     <div className="bg-gray-800 rounded-xl p-4">
                         <ul className="space-y-2">
-                            {Object.entries(aggregatedOverflow.items).map(([name, count]) => (
-                                <li key={name} className="flex justify-between items-center bg-gray-700/50 p-3 rounded-lg">
-                                    <span className="font-medium">{name}</span>
-                                    <span className="font-bold text-yellow-400">x {count}</span>
+                            {aggregatedOverflow.items.map(group => (
+                                <li key={group.key}>
+                                    {/* Dragging a row schedules one unit of it */}
+                                    <DraggableTask
+                                        taskId={group.taskIds[0]}
+                                        machineId={null}
+                                        index={null}
+                                        enabled={canEdit}
+                                        onMove={handleMove}
+                                        className="flex justify-between items-center bg-gray-700/50 p-3 rounded-lg"
+                                    >
+                                        <span className="font-medium">{group.name}{group.customer && <span className="text-gray-400"> — {group.customer}</span>}</span>
+                                        <span className="font-bold text-yellow-400">x {group.count}</span>
+                                    </DraggableTask>
                                 </li>
                             ))}
                         </ul>
                     </div>
+                </TaskDropZone>
+            )}
+        </div>
+    );
+}
+
+// --- What-if Scenarios ---
+function Scenarios({ data, onSetScenarios }) {
+    const scenarios = data.scenarios || [];
+    const [editingScenario, setEditingScenario] = useState(null);
+    const [results, setResults] = useState(null);
+    const [alertInfo, setAlertInfo] = useState(null);
+
+    const handleSave = (scenario) => {
+        const exists = scenarios.some(s => s.id === scenario.id);
+        onSetScenarios(exists ? scenarios.map(s => (s.id === scenario.id ? scenario : s)) : [...scenarios, scenario]);
+        setEditingScenario(null);
+        setResults(null);
+    };
+
+    const handleDelete = (scenarioId) => {
+        onSetScenarios(scenarios.filter(s => s.id !== scenarioId), `Deleted scenario "${scenarios.find(s => s.id === scenarioId)?.name}".`);
+        setResults(null);
+    };
+
+    // The current setup is always the first column, so every scenario reads as a change from it
+    const handleCompare = () => {
+        if (data.orders.length === 0) {
+            setAlertInfo({ title: 'No Orders', message: 'Add orders in the Daily Planner to compare scenarios against.' });
+            return;
+        }
+        const scheduleDate = toDateString(new Date());
+        setResults([{ ...emptyScenario('Current setup'), id: 'current' }, ...scenarios].map(scenario => runScenario(data, scenario, scheduleDate)));
+    };
+
+    // Scenarios use the Daily Planner's scheduler; the optimizer gets a shorter budget per scenario
+    const describeScenarioMode = (settings) => {
+        const scenarioSettings = scenarioScheduleSettings(settings);
+        if (scenarioSettings.scheduleMode !== 'optimize') return 'Planned with the Quick (Greedy) scheduler, as in the Daily Planner.';
+        const capped = scenarioSettings.optimizerSeconds < (settings.optimizerSeconds || 1);
+        return `Planned with the Optimize scheduler, ${scenarioSettings.optimizerSeconds} s per day${capped ? ` instead of the Daily Planner's ${settings.optimizerSeconds || 1} s, so results can fall short of a generated schedule` : ''}.`;
+    };
+
+    const baseline = results?.[0];
+    const machineRows = results
+        ? [...new Map(results.flatMap(result => result.machines).map(machine => [machine.machineId, machine.name])).entries()]
+        : [];
+    const rows = [
+        { label: 'Scheduled Profit', value: result => `$${result.scheduledProfit.toFixed(2)}` },
+        {
+            label: 'vs. Current',
+            value: result => {
+                const difference = result.scheduledProfit - baseline.scheduledProfit;
+                return <span className={difference > 0 ? 'text-green-400' : difference < 0 ? 'text-red-400' : 'text-gray-500'}>{difference >= 0 ? '+' : '−'}${Math.abs(difference).toFixed(2)}</span>;
+            },
+        },
+        { label: 'Overflow Profit', value: result => <span className={result.overflowProfit > 0 ? 'text-yellow-400' : ''}>${result.overflowProfit.toFixed(2)}</span> },
+        { label: 'Overflow Tasks', value: result => result.overflowTasks },
+        { label: 'Late Tasks', value: result => result.lateTasks },
+        { label: 'Days Used', value: result => result.daysUsed },
+        { label: 'Utilization', value: result => `${(result.utilization * 100).toFixed(0)}%` },
+        ...machineRows.map(([machineId, name]) => ({
+            label: name || machineId,
+            indent: true,
+            value: result => {
+                const machine = result.machines.find(m => m.machineId === machineId);
+                return machine ? `${(machine.utilization * 100).toFixed(0)}%` : <span className="text-gray-500">—</span>;
+            },
+        })),
+    ];
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <div>
+                    <h2 className="text-3xl font-bold">What-if Scenarios</h2>
+                    <p className="text-sm text-gray-400">Scenarios override machines, hours and order quantities on a copy of the current data. Nothing here changes the real setup.</p>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                    <button onClick={() => setEditingScenario(emptyScenario(`Scenario ${scenarios.length + 1}`))} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg flex items-center space-x-2">
+                        <Icon path="M12 4.5v15m7.5-7.5h-15" />
+                        <span>New Scenario</span>
+                    </button>
+                    <button onClick={handleCompare} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg">
+                        Run Comparison
+                    </button>
+                </div>
+            </div>
+
+            {scenarios.length > 0 ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {scenarios.map(scenario => {
+                        const changes = describeScenario(scenario, data);
+                        return (
+                            <div key={scenario.id} className="bg-gray-800 rounded-xl p-4">
+                                <div className="flex justify-between items-start">
+                                    <h3 className="text-lg font-semibold">{scenario.name}</h3>
+                                    <div className="flex gap-2 text-sm">
+                                        <button onClick={() => setEditingScenario(scenario)} className="text-indigo-400 hover:text-indigo-300">Edit</button>
+                                        <button onClick={() => handleDelete(scenario.id)} className="text-red-400 hover:text-red-300">Delete</button>
+                                    </div>
+                                </div>
+                                {changes.length > 0 ? (
+                                    <ul className="mt-2 text-sm text-gray-300 list-disc list-inside">
+                                        {changes.map(change => <li key={change}>{change}</li>)}
+                                    </ul>
+                                ) : (
+                                    <p className="mt-2 text-sm text-gray-500">No changes from the current setup.</p>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            ) : (
+                <p className="text-gray-500">No scenarios yet. Create one to try extra machines, longer days or different quantities.</p>
+            )}
+
+            {results && (
+                <div className="bg-gray-800 rounded-xl p-4 overflow-x-auto">
+                    <h3 className="text-xl font-semibold">Comparison</h3>
+                    <p className="text-sm text-gray-400 mb-4">{describeScenarioMode(data.settings)}</p>
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="border-b border-gray-700">
+                                <th className="p-2"></th>
+                                {results.map(result => <th key={result.scenarioId} className="p-2">{result.name}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => (
+                                <tr key={row.label} className="border-b border-gray-700/50">
+                                    <td className={`p-2 ${row.indent ? 'pl-6 text-gray-400' : 'font-medium'}`}>{row.label}</td>
+                                    {results.map(result => <td key={result.scenarioId} className="p-2">{row.value(result)}</td>)}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
                 </div>
             )}
+
+            {editingScenario && (
+                <ScenarioForm
+                    scenario={editingScenario}
+                    isNew={!scenarios.some(s => s.id === editingScenario.id)}
+                    machines={data.machines}
+                    orders={data.orders}
+                    settings={data.settings}
+                    onSave={handleSave}
+                    onClose={() => setEditingScenario(null)}
+                />
+            )}
+            {alertInfo && <AlertModal title={alertInfo.title} message={alertInfo.message} onClose={() => setAlertInfo(null)} />}
+        </div>
+    );
+}
+
+function ScenarioForm({ scenario, isNew, machines, orders, settings, onSave, onClose }) {
+    const [name, setName] = useState(scenario.name);
+    const [overrides, setOverrides] = useState({ addMachines: [], removeMachineIds: [], quantities: {}, ...scenario.overrides });
+    const [copyOf, setCopyOf] = useState(machines[0]?.id || '');
+
+    const setOverride = (field, value) => setOverrides(prev => ({ ...prev, [field]: value }));
+
+    const handleAddMachine = () => {
+        const original = machines.find(m => m.id === copyOf);
+        if (!original) return;
+        const copies = overrides.addMachines.filter(machine => machine.copyOf === copyOf).length;
+        setOverride('addMachines', [...overrides.addMachines, { id: `${scenario.id}-machine-${Date.now()}`, name: `${original.name} #${copies + 2}`, copyOf }]);
+    };
+
+    const handleToggleRemove = (machineId) => setOverride('removeMachineIds', overrides.removeMachineIds.includes(machineId)
+        ? overrides.removeMachineIds.filter(id => id !== machineId)
+        : [...overrides.removeMachineIds, machineId]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        onSave({ ...scenario, name: name.trim(), overrides });
+    };
+
+    const inputClass = 'bg-gray-700 p-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+    return (
+        <Modal onClose={onClose}>
+            <h3 className="text-2xl font-bold mb-6">{isNew ? 'New Scenario' : 'Edit Scenario'}</h3>
+            <form onSubmit={handleSubmit} className="space-y-5 max-h-[70vh] overflow-y-auto pr-2">
+                <input type="text" placeholder="Scenario name" value={name} onChange={e => setName(e.target.value)} required className={`w-full ${inputClass}`} />
+
+                <div className="grid grid-cols-2 gap-4">
+                    <label className="text-sm text-gray-400">
+                        Work hours per day
+                        <input type="number" min="1" max="24" step="0.5" placeholder={String(settings.workHours)} value={overrides.workHours} onChange={e => setOverride('workHours', e.target.value)} className={`mt-1 w-full ${inputClass}`} />
+                    </label>
+                    <label className="text-sm text-gray-400">
+                        Planning days
+                        <input type="number" min="1" step="1" placeholder={String(settings.planningDays || 1)} value={overrides.planningDays} onChange={e => setOverride('planningDays', e.target.value)} className={`mt-1 w-full ${inputClass}`} />
+                    </label>
+                </div>
+
+                <div>
+                    <h4 className="font-semibold mb-2">Machines</h4>
+                    <div className="space-y-1">
+                        {machines.map(machine => (
+                            <label key={machine.id} className="flex items-center gap-2 text-sm">
+                                <input type="checkbox" checked={!overrides.removeMachineIds.includes(machine.id)} onChange={() => handleToggleRemove(machine.id)} className="form-checkbox h-4 w-4 text-indigo-600 bg-gray-800 border-gray-600 rounded" />
+                                <span className={overrides.removeMachineIds.includes(machine.id) ? 'line-through text-gray-500' : ''}>{machine.name}</span>
+                            </label>
+                        ))}
+                        {overrides.addMachines.map(machine => (
+                            <div key={machine.id} className="flex items-center gap-2 text-sm">
+                                <input type="text" value={machine.name} onChange={e => setOverride('addMachines', overrides.addMachines.map(m => (m.id === machine.id ? { ...m, name: e.target.value } : m)))} className={`flex-grow ${inputClass}`} />
+                                <span className="text-gray-400">copy of {machines.find(m => m.id === machine.copyOf)?.name || 'a removed machine'}</span>
+                                <button type="button" onClick={() => setOverride('addMachines', overrides.addMachines.filter(m => m.id !== machine.id))} className="text-red-400 hover:text-red-300">Remove</button>
+                            </div>
+                        ))}
+                    </div>
+                    {machines.length > 0 && (
+                        <div className="flex gap-2 mt-2">
+                            <select value={copyOf} onChange={e => setCopyOf(e.target.value)} className={`flex-grow ${inputClass}`}>
+                                {machines.map(machine => <option key={machine.id} value={machine.id}>{machine.name}</option>)}
+                            </select>
+                            <button type="button" onClick={handleAddMachine} className="bg-gray-600 hover:bg-gray-700 text-white text-sm font-bold py-2 px-3 rounded-lg">Add a Copy</button>
+                        </div>
+                    )}
+                </div>
+
+                {orders.length > 0 && (
+                    <div>
+                        <h4 className="font-semibold mb-2">Order Quantities</h4>
+                        <p className="text-xs text-gray-400 mb-2">Leave blank to keep the current quantity; 0 leaves the order out.</p>
+                        <div className="space-y-1">
+                            {orders.map(order => (
+                                <div key={order.id} className="flex items-center gap-2 text-sm">
+                                    <span className="flex-grow">{order.itemName}{order.customer && <span className="text-gray-400"> · {order.customer}</span>}</span>
+                                    <input type="number" min="0" step="1" placeholder={String(order.quantity)} value={overrides.quantities[order.id] ?? ''} onChange={e => setOverride('quantities', { ...overrides.quantities, [order.id]: e.target.value })} className={`w-24 ${inputClass}`} />
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-4">
+                    <button type="button" onClick={onClose} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg">Cancel</button>
+                    <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg">Save Scenario</button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+// --- Analytics ---
+// Horizontal bars scaled to the largest value in the list; losses show in red.
+const ProfitBars = ({ rows, label }) => {
+    const largest = Math.max(...rows.map(row => Math.abs(row.profit)), 1);
+    return (
+        <div className="space-y-2">
+            {rows.map(row => (
+                <div key={row.key} className="flex items-center gap-3 text-sm">
+                    <span className="w-28 shrink-0 text-gray-400">{label(row.key)}</span>
+                    <div className="flex-grow bg-gray-700/50 rounded h-4">
+                        <div className={`h-4 rounded ${row.profit < 0 ? 'bg-red-500' : 'bg-green-500'}`} style={{ width: `${(Math.abs(row.profit) / largest) * 100}%` }} />
+                    </div>
+                    <span className={`w-24 shrink-0 text-right ${row.profit < 0 ? 'text-red-400' : 'text-green-400'}`}>${row.profit.toFixed(2)}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+function Analytics({ history = [], items, onSetItems }) {
+    const [period, setPeriod] = useState('day');
+    const dailyProfit = useMemo(() => profitByDay(history), [history]);
+    const weeklyProfit = useMemo(() => profitByWeek(history), [history]);
+    const utilization = useMemo(() => machineUtilization(history), [history]);
+    const performance = useMemo(() => itemPerformance(history), [history]);
+    const missed = useMemo(() => cumulativeMissedProfit(history), [history]);
+    const timedItems = performance.filter(item => item.actualBuildTime !== null);
+
+    if (history.length === 0) {
+        return (
+            <div className="text-center py-20">
+                <h2 className="text-2xl font-bold mb-2">No Production History Yet</h2>
+                <p className="text-gray-400">Each schedule is archived here when it is marked complete in the Schedule View.</p>
+            </div>
+        );
+    }
+
+    const libraryItem = (itemId) => items.find(item => item.id === itemId);
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h2 className="text-3xl font-bold">Analytics</h2>
+                <p className="text-sm text-gray-400">
+                    {history.length} completed {history.length === 1 ? 'schedule' : 'schedules'}. Schedules tracked on the shop floor count what was actually run; the rest count as planned.
+                </p>
+            </div>
+
+            <div className="bg-gray-800 rounded-xl p-4">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold">Profit</h3>
+                    <select value={period} onChange={e => setPeriod(e.target.value)} className="bg-gray-700 p-2 rounded-lg border border-gray-600 text-sm">
+                        <option value="day">Per day</option>
+                        <option value="week">Per week</option>
+                    </select>
+                </div>
+                {period === 'day'
+                    ? <ProfitBars rows={dailyProfit} label={date => date} />
+                    : <ProfitBars rows={weeklyProfit} label={date => `Week of ${date}`} />}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="bg-gray-800 rounded-xl p-4">
+                    <h3 className="text-xl font-semibold mb-4">Machine Utilization</h3>
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="border-b border-gray-700">
+                                <th className="p-2">Machine</th>
+                                <th className="p-2">Busy / Open (h)</th>
+                                <th className="p-2">Utilization</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {utilization.map(machine => (
+                                <tr key={machine.machineId} className="border-b border-gray-700/50">
+                                    <td className="p-2 font-medium">{machine.name || machine.machineId}</td>
+                                    <td className="p-2 text-gray-400">{(machine.busyMinutes / 60).toFixed(1)} / {(machine.openMinutes / 60).toFixed(1)}</td>
+                                    <td className="p-2">{(machine.utilization * 100).toFixed(0)}%</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="bg-gray-800 rounded-xl p-4">
+                    <h3 className="text-xl font-semibold mb-4">Top Items by Profit per Minute</h3>
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="border-b border-gray-700">
+                                <th className="p-2">Item</th>
+                                <th className="p-2">Made</th>
+                                <th className="p-2">Profit</th>
+                                <th className="p-2">$/min</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {performance.slice(0, 10).map(item => (
+                                <tr key={item.itemId} className="border-b border-gray-700/50">
+                                    <td className="p-2 font-medium">{item.name}</td>
+                                    <td className="p-2">
+                                        {item.units}
+                                        {item.scrapped > 0 && <span className="text-red-400"> · {item.scrapped} scrapped</span>}
+                                    </td>
+                                    <td className={`p-2 ${item.profit < 0 ? 'text-red-400' : 'text-green-400'}`}>${item.profit.toFixed(2)}</td>
+                                    <td className="p-2">${item.profitPerMinute.toFixed(2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="bg-gray-800 rounded-xl p-4">
+                <h3 className="text-xl font-semibold mb-1">Planned vs. Actual Build Time</h3>
+                <p className="text-sm text-gray-400 mb-4">Actual times come from tasks reported done on the shop floor, less changeover and adjusted for machine speed.</p>
+                {timedItems.length > 0 ? (
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="border-b border-gray-700">
+                                <th className="p-2">Item</th>
+                                <th className="p-2">Planned (min)</th>
+                                <th className="p-2">Actual avg (min)</th>
+                                <th className="p-2">Difference</th>
+                                <th className="p-2">Library Estimate</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {timedItems.map(item => {
+                                const difference = item.actualBuildTime - parseFloat(item.plannedBuildTime);
+                                const current = libraryItem(item.itemId);
+                                return (
+                                    <tr key={item.itemId} className="border-b border-gray-700/50">
+                                        <td className="p-2 font-medium">{item.name}</td>
+                                        <td className="p-2">{item.plannedBuildTime}</td>
+                                        <td className="p-2">{item.actualBuildTime.toFixed(1)} <span className="text-gray-500">({item.actualSamples} runs)</span></td>
+                                        <td className={`p-2 ${difference > 0 ? 'text-yellow-400' : 'text-green-400'}`}>
+                                            {difference > 0 ? '+' : ''}{difference.toFixed(1)}
+                                        </td>
+                                        <td className="p-2">
+                                            {!current ? (
+                                                <span className="text-gray-500">Item deleted</span>
+                                            ) : Math.abs(parseFloat(current.buildTime) - item.actualBuildTime) < 0.05 ? (
+                                                <span className="text-gray-400">{current.buildTime} min</span>
+                                            ) : (
+                                                <button onClick={() => onSetItems(refineBuildTime(items, item.itemId, item.actualBuildTime))} className="bg-indigo-600 hover:bg-indigo-700 text-white text-xs font-bold py-1 px-2 rounded">
+                                                    Use {item.actualBuildTime.toFixed(1)} min (now {current.buildTime})
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                ) : (
+                    <p className="text-gray-500 text-sm">No actual build times recorded yet. Report tasks on the Shop Floor view to collect them.</p>
+                )}
+            </div>
+
+            <div className="bg-gray-800 rounded-xl p-4">
+                <h3 className="text-xl font-semibold mb-1">Missed Profit from Overflow</h3>
+                <p className="text-sm text-gray-400 mb-4">Profit of orders that did not fit the planning horizon or were blocked by stock.</p>
+                <table className="w-full text-left text-sm">
+                    <thead>
+                        <tr className="border-b border-gray-700">
+                            <th className="p-2">Schedule</th>
+                            <th className="p-2">Missed</th>
+                            <th className="p-2">Cumulative</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {missed.map(entry => (
+                            <tr key={entry.id} className="border-b border-gray-700/50">
+                                <td className="p-2">{entry.key}</td>
+                                <td className="p-2 text-yellow-400">${entry.missed.toFixed(2)}</td>
+                                <td className="p-2 text-red-400">${entry.cumulative.toFixed(2)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
         </div>
     );
 }
 
-function Settings({ settings, onSetSettings, onClearData }) {
+function Settings({ data, settings, onSetSettings, onImportData, onClearData }) {
     const [alertInfo, setAlertInfo] = useState({ show: false, message: '' });
     const [showConfirmModal, setShowConfirmModal] = useState(false);
+    const [pendingImport, setPendingImport] = useState(null);
+    const [storageConfig, setStorageConfig] = useState(loadStorageConfig);
+    const currentStorage = loadStorageConfig();
+    const storageChanged = storageConfig.backend !== currentStorage.backend
+        || (storageConfig.backend === 'http' && storageConfig.serverUrl.trim() !== currentStorage.serverUrl);
 
     const handleSaveSettings = () => {
         // The parent component's useEffect already saves all data,
@@ -677,16 +3103,68 @@ function Settings({ settings, onSetSettings, onClearData }) {
         const parsedValue = parseInt(value, 10);
         // Basic validation
         if (isNaN(parsedValue)) return;
-        onSetSettings(prev => ({ ...prev, [name]: parsedValue }));
+        onSetSettings({ ...settings, [name]: parsedValue });
+    };
+
+    const handleExport = () => {
+        const backup = toBackup(data);
+        downloadFile(`laser-scheduler-backup-${toDateString(new Date())}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    };
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        // Let the same file be picked again after an error
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const parsed = JSON.parse(await readFileAsText(file));
+            const errors = validateData(parsed);
+            if (errors.length > 0) {
+                setAlertInfo({ show: true, title: 'Import Failed', message: `${file.name} is not a valid backup:\n${errors.join('\n')}` });
+                return;
+            }
+            setPendingImport({ fileName: file.name, ...fromBackup(parsed) });
+        } catch (error) {
+            setAlertInfo({ show: true, title: 'Import Failed', message: `${file.name} could not be read: ${error.message}` });
+        }
+    };
+
+    const handleConfirmImport = (mode) => {
+        onImportData(pendingImport.data, mode);
+        setPendingImport(null);
+        setAlertInfo({ show: true, message: mode === 'merge' ? 'Backup merged into your data.' : 'Your data was replaced by the backup.' });
+    };
+
+    // The current data is written to the new backend before the app reloads on
+    // it. A sync server that already has data reports a conflict after the reload.
+    const handleSwitchStorage = async () => {
+        const config = { ...storageConfig, serverUrl: storageConfig.serverUrl.trim() };
+        if (config.backend === 'http' && !/^https?:\/\//.test(config.serverUrl)) {
+            setAlertInfo({ show: true, title: 'Storage', message: 'Enter the sync server address, starting with http:// or https://.' });
+            return;
+        }
+        try {
+            await createStorage(config).save(data);
+        } catch (error) {
+            setAlertInfo({ show: true, title: 'Storage', message: `The data could not be moved: ${error.message}` });
+            return;
+        }
+        saveStorageConfig(config);
+        window.location.reload();
     };
 
     const confirmClearData = () => {
         setShowConfirmModal(true);
     };
 
-    const handleConfirmClear = () => {
+    const handleConfirmClear = async () => {
         setShowConfirmModal(false);
-        onClearData();
+        try {
+            await onClearData();
+        } catch (error) {
+            console.error("Error clearing data:", error);
+            setAlertInfo({ show: true, title: 'Clear Data', message: `The data could not be deleted, so nothing was removed: ${error.message}` });
+        }
     };
 
     return (
@@ -718,6 +3196,60 @@ function Settings({ settings, onSetSettings, onClearData }) {
                             className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500"
                         />
                     </div>
+                    <label className="col-span-2 flex items-center gap-3 text-sm text-gray-300">
+                        <input
+                            type="checkbox"
+                            checked={Boolean(settings.splitTasksAcrossBreaks)}
+                            onChange={e => onSetSettings({ ...settings, splitTasksAcrossBreaks: e.target.checked })}
+                            className="w-4 h-4 accent-indigo-600"
+                        />
+                        Let tasks pause over breaks and downtime instead of waiting for the next free window
+                    </label>
+                    <label className="col-span-2 flex items-center gap-3 text-sm text-gray-300">
+                        <input
+                            type="checkbox"
+                            checked={settings.batchSetups !== false}
+                            onChange={e => onSetSettings({ ...settings, batchSetups: e.target.checked })}
+                            className="w-4 h-4 accent-indigo-600"
+                        />
+                        Batch tasks that share a material setup to cut down on changeovers
+                    </label>
+                    <label className="col-span-2 flex items-center gap-3 text-sm text-gray-300">
+                        <input
+                            type="checkbox"
+                            checked={settings.mixedRuns !== false}
+                            onChange={e => onSetSettings({ ...settings, mixedRuns: e.target.checked })}
+                            className="w-4 h-4 accent-indigo-600"
+                        />
+                        Share a bed between partial runs of items cut from the same material
+                    </label>
+                    <div className="col-span-2">
+                        <label className="block text-sm font-medium text-gray-400 mb-1">Optimizer Time Budget (seconds)</label>
+                        <input
+                            type="number"
+                            name="optimizerSeconds"
+                            value={settings.optimizerSeconds || 1}
+                            onChange={handleInputChange}
+                            min="1"
+                            max="30"
+                            className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                    </div>
+                    <div className="col-span-2">
+                        <label className="block text-sm font-medium text-gray-400 mb-1">Labor Rate ($ per hour)</label>
+                        <input
+                            type="number"
+                            step="any"
+                            min="0"
+                            value={settings.laborRate ?? ''}
+                            onChange={e => {
+                                const laborRate = parseFloat(e.target.value);
+                                onSetSettings({ ...settings, laborRate: isNaN(laborRate) ? 0 : laborRate });
+                            }}
+                            className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                        <p className="text-xs text-gray-400 mt-1">Used for the labor minutes of items with an itemized cost.</p>
+                    </div>
                 </div>
 
                 <button onClick={handleSaveSettings} className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg transition-transform transform hover:scale-105">
@@ -725,15 +3257,60 @@ function Settings({ settings, onSetSettings, onClearData }) {
                 </button>
             </div>
 
+            <div className="bg-gray-800 rounded-xl p-6 space-y-4">
+                <h3 className="text-xl font-bold">Backup &amp; Restore</h3>
+                <p className="text-gray-400 text-sm">Download all items, machines, orders, the schedule and settings as a JSON file, or restore them from one.</p>
+                <div className="grid grid-cols-2 gap-4">
+                    <button onClick={handleExport} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg transition-transform transform hover:scale-105">
+                        Export Backup
+                    </button>
+                    <label className="text-center cursor-pointer bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-4 rounded-lg transition-transform transform hover:scale-105">
+                        Import Backup
+                        <input type="file" accept=".json,application/json" onChange={handleImportFile} className="hidden" />
+                    </label>
+                </div>
+            </div>
+
+            <div className="bg-gray-800 rounded-xl p-6 space-y-4">
+                <h3 className="text-xl font-bold">Storage</h3>
+                <p className="text-gray-400 text-sm">Where this browser keeps the data. A sync server shares one dataset between devices, e.g. the office PC and the shop-floor tablet; run it with <code>npm run sync-server</code>.</p>
+                <select value={storageConfig.backend} onChange={e => setStorageConfig({ ...storageConfig, backend: e.target.value })} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                    {Object.entries(STORAGE_BACKENDS).map(([backend, label]) => <option key={backend} value={backend}>{label}</option>)}
+                </select>
+                {storageConfig.backend === 'http' && (
+                    <input type="url" placeholder="Server address, e.g. http://192.168.1.20:8787" value={storageConfig.serverUrl} onChange={e => setStorageConfig({ ...storageConfig, serverUrl: e.target.value })} className="w-full bg-gray-700 p-3 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                )}
+                <button onClick={handleSwitchStorage} disabled={!storageChanged} className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg disabled:bg-gray-500 disabled:cursor-not-allowed">
+                    Move Data and Switch
+                </button>
+            </div>
+
             <div className="bg-red-800/50 border border-red-500/30 rounded-xl p-6 space-y-4">
                 <h3 className="text-xl font-bold text-red-400">Danger Zone</h3>
-                <p className="text-gray-400 text-sm">This action cannot be undone. This will permanently delete all your items, machines, and schedule data from this browser.</p>
+                <p className="text-gray-400 text-sm">This action cannot be undone. This will permanently delete all your items, machines, and schedule data from this browser, or from the sync server when you use one.</p>
                 <button onClick={confirmClearData} className="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-4 rounded-lg transition-transform transform hover:scale-105">
                     Clear All Data
                 </button>
             </div>
 
-            {alertInfo.show && <AlertModal message={alertInfo.message} onClose={() => setAlertInfo({ show: false, message: '' })} />}
+            {alertInfo.show && <AlertModal title={alertInfo.title} message={alertInfo.message} onClose={() => setAlertInfo({ show: false, message: '' })} />}
+            {pendingImport && (
+                <Modal onClose={() => setPendingImport(null)}>
+                    <h3 className="text-xl font-bold text-white mb-4">Import {pendingImport.fileName}</h3>
+                    <p className="text-gray-300 mb-2">
+                        {pendingImport.data.items?.length || 0} items, {pendingImport.data.machines?.length || 0} machines and {pendingImport.data.orders?.length || 0} orders
+                        {pendingImport.exportedAt && `, exported ${new Date(pendingImport.exportedAt).toLocaleString()}`}.
+                    </p>
+                    <p className="text-gray-400 text-sm mb-6">
+                        Merge adds the backup to your data, replacing entries with the same id and keeping your settings. Replace discards everything you have now.
+                    </p>
+                    <div className="flex justify-end gap-4">
+                        <button onClick={() => setPendingImport(null)} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-6 rounded-lg">Cancel</button>
+                        <button onClick={() => handleConfirmImport('merge')} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg">Merge</button>
+                        <button onClick={() => handleConfirmImport('replace')} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-lg">Replace</button>
+                    </div>
+                </Modal>
+            )}
             {showConfirmModal && <ConfirmationModal message="Are you sure you want to delete all application data? This cannot be undone." onConfirm={handleConfirmClear} onCancel={() => setShowConfirmModal(false)} />}
         </div>
     );
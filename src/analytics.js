@@ -0,0 +1,186 @@
+// --- Production History & Analytics ---
+// A completed schedule is archived as compact day records: what was planned,
+// what actually ran (when it was tracked on the shop floor) and what was left
+// over. The analytics below only read those records, so they keep working
+// after items, machines or orders change.
+
+import { addDays, toDateString, windowMinutes } from './calendar';
+import { partsPerRunOf, scrapCountOf, taskParts } from './scheduler';
+
+const taskMinutes = (task) => (task.segments || [{ start: task.startTime, end: task.endTime }])
+    .reduce((sum, segment) => sum + (segment.end - segment.start), 0);
+
+// A task as kept in history: one record per item it made, with build times
+// per part. A mixed run is shared between its items by their build time.
+// actualBuildTime is the build time the actual run implies at the item's
+// nominal speed: run time without changeover, scaled back by the machine's
+// speed factor.
+const archiveTask = (task) => {
+    const minutes = taskMinutes(task);
+    const actualRun = task.status === 'done' && task.actualStart !== undefined && task.actualEnd !== undefined && task.runTime > 0
+        ? Math.max(0, task.actualEnd - task.actualStart - (task.changeover || 0)) * (task.buildTime / task.runTime)
+        : null;
+    return taskParts(task).map(part => {
+        const share = part.buildTime / task.buildTime;
+        const record = {
+            itemId: part.itemId,
+            name: part.name,
+            status: task.status || null,
+            quantity: part.quantity,
+            plannedBuildTime: part.buildTime / part.quantity,
+            minutes: minutes * share,
+            profit: task.profit * share,
+        };
+        if (actualRun !== null) record.actualBuildTime = (actualRun * share) / part.quantity;
+        if (task.status === 'failed') record.scrapped = scrapCountOf(task, part);
+        return record;
+    });
+};
+
+const scheduleDays = (schedule) => schedule.days || [{ ...schedule, day: 1 }];
+const isTrackedSchedule = (days) => days.some(day => Object.values(day.machineTimelines).some(timeline => timeline.tasks.some(task => task.status)));
+
+// Archive entry for a completed schedule. A schedule counts as tracked when
+// any task was reported on the shop floor; then only reported tasks count as
+// produced. Untracked schedules are taken to have run as planned.
+export const archiveSchedule = (schedule, archivedAt = new Date()) => {
+    const days = scheduleDays(schedule);
+    const tracked = isTrackedSchedule(days);
+    const produced = (task) => !tracked || task.status === 'done' || task.status === 'failed';
+
+    return {
+        id: `history-${archivedAt.getTime()}`,
+        archivedAt: archivedAt.toISOString(),
+        scheduleDate: schedule.scheduleDate || toDateString(archivedAt),
+        tracked,
+        orders: schedule.orders || [],
+        plannedProfit: schedule.totalProfit,
+        overflowProfit: (schedule.overflowProfit || 0) + (schedule.stockBlockedProfit || 0),
+        days: days.map((day, index) => {
+            const timelines = Object.entries(day.machineTimelines);
+            const tasks = timelines.flatMap(([, timeline]) => timeline.tasks).filter(produced);
+            return {
+                day: day.day,
+                date: day.date || addDays(schedule.scheduleDate || toDateString(archivedAt), index),
+                profit: tasks.reduce((sum, task) => sum + task.profit, 0),
+                machines: Object.fromEntries(timelines.map(([machineId, timeline]) => [machineId, {
+                    name: timeline.name,
+                    openMinutes: windowMinutes(timeline.windows || []),
+                    busyMinutes: timeline.tasks.filter(produced).reduce((sum, task) => sum + taskMinutes(task), 0),
+                }])),
+                tasks: tasks.flatMap(archiveTask),
+            };
+        }),
+    };
+};
+
+// Material a completed schedule took off the shelf ({ materialId: sheets }).
+// Untracked schedules used what was planned; tracked ones what every run that
+// finished or failed was planned to use, since scrapped pieces were cut from
+// real sheets too. Runs that never started used nothing.
+export const producedMaterialUse = (schedule) => {
+    const days = scheduleDays(schedule);
+    if (!isTrackedSchedule(days)) return schedule.materialUse || {};
+    const use = {};
+    days.flatMap(day => Object.values(day.machineTimelines).flatMap(timeline => timeline.tasks))
+        .filter(task => task.status === 'done' || task.status === 'failed')
+        .forEach(task => (task.materialUsage || []).forEach(({ materialId, perPart }) => {
+            use[materialId] = (use[materialId] || 0) + (parseFloat(perPart) || 0);
+        }));
+    return use;
+};
+
+const allDays = (history) => history.flatMap(entry => entry.days);
+
+// Monday of the week a "YYYY-MM-DD" date falls in.
+const weekOf = (date) => {
+    const [year, month, day] = date.split('-').map(n => parseInt(n, 10));
+    const weekday = (new Date(year, month - 1, day).getDay() + 6) % 7;
+    return addDays(date, -weekday);
+};
+
+// [key, profit] pairs totalled per key, in key order.
+const sumBy = (entries) => {
+    const totals = {};
+    entries.forEach(([key, value]) => { totals[key] = (totals[key] || 0) + value; });
+    return Object.entries(totals).map(([key, profit]) => ({ key, profit })).sort((a, b) => a.key.localeCompare(b.key));
+};
+
+export const profitByDay = (history) => sumBy(allDays(history).map(day => [day.date, day.profit]));
+
+export const profitByWeek = (history) => sumBy(allDays(history).map(day => [weekOf(day.date), day.profit]));
+
+// Share of each machine's open time spent running tasks, over all history.
+export const machineUtilization = (history) => {
+    const machines = {};
+    allDays(history).forEach(day => Object.entries(day.machines).forEach(([machineId, usage]) => {
+        const current = machines[machineId] || { machineId, name: usage.name, openMinutes: 0, busyMinutes: 0 };
+        machines[machineId] = {
+            ...current,
+            name: usage.name || current.name,
+            openMinutes: current.openMinutes + usage.openMinutes,
+            busyMinutes: current.busyMinutes + usage.busyMinutes,
+        };
+    }));
+    return Object.values(machines).map(machine => ({
+        ...machine,
+        utilization: machine.openMinutes > 0 ? machine.busyMinutes / machine.openMinutes : 0,
+    }));
+};
+
+// Per item: units made, profit per machine minute, and the average planned
+// and actual build time per part where actuals were recorded. Sorted by profit per
+// minute, best first.
+export const itemPerformance = (history) => {
+    const items = {};
+    allDays(history).flatMap(day => day.tasks).forEach(task => {
+        const item = items[task.itemId] || { itemId: task.itemId, name: task.name, units: 0, scrapped: 0, profit: 0, minutes: 0, plannedBuildTime: 0, actualBuildTimes: [] };
+        item.name = task.name;
+        item.profit += task.profit;
+        item.minutes += task.minutes;
+        // A failed run may still have made some good pieces
+        const quantity = task.quantity || 1;
+        const scrapped = task.status === 'failed' ? (task.scrapped ?? quantity) : 0;
+        item.scrapped += scrapped;
+        item.units += quantity - scrapped;
+        if (scrapped < quantity) item.plannedBuildTime = task.plannedBuildTime;
+        if (task.actualBuildTime !== undefined) item.actualBuildTimes.push(task.actualBuildTime);
+        items[task.itemId] = item;
+    });
+    return Object.values(items)
+        .map(({ actualBuildTimes, ...item }) => ({
+            ...item,
+            profitPerMinute: item.minutes > 0 ? item.profit / item.minutes : 0,
+            actualSamples: actualBuildTimes.length,
+            actualBuildTime: actualBuildTimes.length > 0
+                ? actualBuildTimes.reduce((sum, minutes) => sum + minutes, 0) / actualBuildTimes.length
+                : null,
+        }))
+        .sort((a, b) => b.profitPerMinute - a.profitPerMinute);
+};
+
+// Profit left in overflow (time or stock) per archived schedule, with the
+// running total in archive order.
+export const cumulativeMissedProfit = (history) => {
+    let total = 0;
+    return [...history]
+        .sort((a, b) => a.archivedAt.localeCompare(b.archivedAt))
+        .map(entry => {
+            total += entry.overflowProfit;
+            return { id: entry.id, key: entry.scheduleDate, missed: entry.overflowProfit, cumulative: total };
+        });
+};
+
+const roundMinutes = (minutes) => String(Math.round(minutes * 10) / 10);
+
+// The library with an item's build time estimate replaced by its recorded
+// actual average per part (rounded to a tenth of a minute). Items timed per
+// run get their run time updated to match, and the actual replaces any
+// estimate from the item's cut file.
+export const refineBuildTime = (items, itemId, actualBuildTime) => items.map(item => {
+    if (item.id !== itemId) return item;
+    const refined = { ...item, buildTime: roundMinutes(actualBuildTime) };
+    if (item.buildTimeFromFile) refined.buildTimeFromFile = false;
+    if (parseFloat(item.minutesPerRun) > 0) refined.minutesPerRun = roundMinutes(actualBuildTime * partsPerRunOf(item));
+    return refined;
+});
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { producedMaterialUse } from './analytics';
+import { buildSchedule, recordTaskEvent } from './scheduler';
+
+const machine = { id: 'm1', name: 'Laser A' };
+const batch = {
+    id: 'item-1',
+    name: 'Coaster',
+    buildTime: '5',
+    price: '10',
+    cost: '4',
+    partsPerRun: '12',
+    minutesPerRun: '60',
+    allowedMachines: ['m1'],
+    materialUsage: [{ materialId: 'ply', perPart: '0.25' }],
+};
+
+const planned = () => buildSchedule({
+    items: [batch],
+    machines: [machine],
+    orders: [{ id: 'order-1', itemId: 'item-1', itemName: 'Coaster', quantity: 24 }],
+    settings: { workHours: 8 },
+    scheduleDate: '2026-10-19',
+});
+
+const report = (schedule, taskIndex, event, options = {}) => {
+    const task = schedule.machineTimelines.m1.tasks[taskIndex];
+    return recordTaskEvent(schedule, { machineId: 'm1', taskId: task.id, event, now: 0, ...options }).schedule;
+};
+
+describe('material a completed schedule used', () => {
+    it('takes the planned use when nothing was reported on the shop floor', () => {
+        const schedule = planned();
+        expect(producedMaterialUse(schedule)).toEqual({ ply: 6 });
+    });
+
+    it('counts only finished tasks once the shop floor reported any', () => {
+        const started = report(planned(), 0, 'start');
+        expect(producedMaterialUse(started)).toEqual({});
+        expect(producedMaterialUse(report(started, 0, 'done'))).toEqual({ ply: 3 });
+    });
+
+    it("counts the full run's material for a failed run, scrapped pieces included", () => {
+        const failed = report(report(planned(), 0, 'start'), 0, 'fail', { scrapped: [4] });
+        expect(producedMaterialUse(failed)).toEqual({ ply: 3 });
+    });
+});
@@ -0,0 +1,143 @@
+// --- Machine Calendars ---
+// Pure helpers that turn a machine's shift, recurring breaks and one-off
+// downtime into the windows the scheduler may place work in. All times are
+// minutes from the global workday start (settings.workdayStartHour), the same
+// axis task startTime/endTime use.
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// "HH:MM" -> minutes since midnight, or null when empty/invalid.
+export const timeToMinutes = (time) => {
+    if (!time) return null;
+    const [hours, minutes] = String(time).split(':').map(n => parseInt(n, 10));
+    if (isNaN(hours)) return null;
+    return (hours * 60) + (minutes || 0);
+};
+
+// Local calendar date as "YYYY-MM-DD".
+export const toDateString = (date) => {
+    const pad = (n) => (n < 10 ? `0${n}` : `${n}`);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const addDays = (dateString, days) => {
+    const [year, month, day] = dateString.split('-').map(n => parseInt(n, 10));
+    return toDateString(new Date(year, month - 1, day + days));
+};
+
+export const emptyCalendar = () => ({ shiftStart: '', shiftEnd: '', breaks: [], downtime: [] });
+
+// Shift of a machine on the workday axis. Machines without their own shift
+// work the global workday.
+export const shiftWindow = (machine, settings = {}) => {
+    const dayStart = (settings.workdayStartHour ?? 9) * 60;
+    const calendar = machine.calendar || {};
+    const shiftStart = timeToMinutes(calendar.shiftStart);
+    const shiftEnd = timeToMinutes(calendar.shiftEnd);
+    const start = shiftStart === null ? 0 : shiftStart - dayStart;
+    let end = shiftEnd === null ? (settings.workHours || 8) * 60 : shiftEnd - dayStart;
+    // Night shifts end on the following calendar day
+    if (end <= start) end += MINUTES_PER_DAY;
+    return { start, end };
+};
+
+// Whole days from one "YYYY-MM-DD" date to another.
+const dayNumber = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(n => parseInt(n, 10));
+    return Date.UTC(year, month - 1, day) / (MINUTES_PER_DAY * 60 * 1000);
+};
+const daysBetween = (from, to) => dayNumber(to) - dayNumber(from);
+
+// Breaks and downtime during the shift that starts on the given date, clipped
+// to the shift. Breaks recur every shift; downtime with times is placed at its
+// own date and time, so on a shift past midnight downtime dated the next day
+// falls in the hours after midnight. Downtime without times takes out the
+// whole shift that starts on its date.
+export const blockedPeriods = (machine, settings = {}, date = null) => {
+    const dayStart = (settings.workdayStartHour ?? 9) * 60;
+    const calendar = machine.calendar || {};
+    const shift = shiftWindow(machine, settings);
+
+    const toBreak = (entry) => {
+        const start = timeToMinutes(entry.start);
+        const end = timeToMinutes(entry.end);
+        if (start === null || end === null) return null;
+        // On a shift past midnight, times before the shift start fall on the
+        // next calendar day, as the shift end does in shiftWindow
+        let startOffset = start - dayStart;
+        if (startOffset < shift.start && startOffset + MINUTES_PER_DAY < shift.end) startOffset += MINUTES_PER_DAY;
+        let endOffset = end - dayStart;
+        if (endOffset < startOffset) endOffset += MINUTES_PER_DAY;
+        return { start: startOffset, end: endOffset, label: entry.label || '', type: 'break' };
+    };
+
+    const toDowntime = (entry) => {
+        const start = timeToMinutes(entry.start);
+        const end = timeToMinutes(entry.end);
+        if (start === null || end === null) {
+            return entry.date === date ? { start: shift.start, end: shift.end, label: entry.label || '', type: 'downtime' } : null;
+        }
+        const dayOffset = daysBetween(date, entry.date) * MINUTES_PER_DAY;
+        const startOffset = dayOffset + start - dayStart;
+        let endOffset = dayOffset + end - dayStart;
+        if (endOffset < startOffset) endOffset += MINUTES_PER_DAY;
+        return { start: startOffset, end: endOffset, label: entry.label || '', type: 'downtime' };
+    };
+
+    const breaks = (calendar.breaks || []).map(toBreak);
+    const downtime = date ? (calendar.downtime || []).filter(entry => entry.date).map(toDowntime) : [];
+
+    return [...breaks, ...downtime]
+        .filter(period => period && period.end > period.start)
+        .map(period => ({ ...period, start: Math.max(period.start, shift.start), end: Math.min(period.end, shift.end) }))
+        .filter(period => period.end > period.start)
+        .sort((a, b) => a.start - b.start);
+};
+
+// Shift minus breaks and downtime, as sorted non-overlapping windows.
+export const availableWindows = (machine, settings = {}, date = null) => {
+    const shift = shiftWindow(machine, settings);
+    let windows = [shift];
+    blockedPeriods(machine, settings, date).forEach(period => {
+        windows = windows.flatMap(window => {
+            if (period.end <= window.start || period.start >= window.end) return [window];
+            const pieces = [];
+            if (period.start > window.start) pieces.push({ start: window.start, end: period.start });
+            if (period.end < window.end) pieces.push({ start: period.end, end: window.end });
+            return pieces;
+        });
+    });
+    return windows;
+};
+
+export const windowMinutes = (windows) => windows.reduce((sum, window) => sum + (window.end - window.start), 0);
+
+// Earliest placement of a task of the given duration at or after `from`.
+// Without splitting the task must fit in one window and is otherwise deferred
+// to the next window that can hold it; with splitting it runs in pieces
+// across breaks. Returns null when it cannot finish inside the windows.
+export const placeInWindows = (windows, from, duration, allowSplit = false) => {
+    if (allowSplit) {
+        const segments = [];
+        let remaining = duration;
+        for (const window of windows) {
+            const start = Math.max(window.start, from);
+            if (start >= window.end) continue;
+            const end = Math.min(window.end, start + remaining);
+            segments.push({ start, end });
+            remaining -= end - start;
+            if (remaining <= 1e-9) {
+                return { startTime: segments[0].start, endTime: end, segments };
+            }
+        }
+        return null;
+    }
+
+    for (const window of windows) {
+        const start = Math.max(window.start, from);
+        if (start + duration <= window.end + 1e-9) {
+            return { startTime: start, endTime: start + duration, segments: [{ start, end: start + duration }] };
+        }
+    }
+    return null;
+};
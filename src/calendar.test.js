@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { availableWindows, blockedPeriods } from './calendar';
+
+const settings = { workdayStartHour: 9, workHours: 8 };
+
+const nightShift = (calendar) => ({
+    id: 'm1',
+    calendar: { shiftStart: '22:00', shiftEnd: '06:00', breaks: [], downtime: [], ...calendar },
+});
+
+describe('blockedPeriods on a shift past midnight', () => {
+    it('keeps a break after midnight inside the shift', () => {
+        const periods = blockedPeriods(nightShift({ breaks: [{ start: '02:00', end: '02:30' }] }), settings);
+        // 22:00 is 780 minutes after the 09:00 workday start; 02:00 is four hours later
+        expect(periods).toEqual([{ start: 1020, end: 1050, label: '', type: 'break' }]);
+    });
+
+    it('keeps a break that spans midnight', () => {
+        const periods = blockedPeriods(nightShift({ breaks: [{ start: '23:45', end: '00:15' }] }), settings);
+        expect(periods.map(({ start, end }) => [start, end])).toEqual([[885, 915]]);
+    });
+
+    it('applies downtime dated after midnight to the shift that started the evening before', () => {
+        const machine = nightShift({ downtime: [{ date: '2026-10-20', start: '04:00', end: '05:00', label: 'Service' }] });
+        expect(blockedPeriods(machine, settings, '2026-10-19')).toEqual([{ start: 1140, end: 1200, label: 'Service', type: 'downtime' }]);
+        expect(availableWindows(machine, settings, '2026-10-19')).toEqual([{ start: 780, end: 1140 }, { start: 1200, end: 1260 }]);
+        expect(blockedPeriods(machine, settings, '2026-10-20')).toEqual([]);
+    });
+
+    it('leaves downtime in the early hours of the shift date to the previous night', () => {
+        const machine = nightShift({ downtime: [{ date: '2026-10-19', start: '04:00', end: '05:00' }] });
+        expect(blockedPeriods(machine, settings, '2026-10-19')).toEqual([]);
+        expect(blockedPeriods(machine, settings, '2026-10-18').map(({ start, end }) => [start, end])).toEqual([[1140, 1200]]);
+    });
+
+    it('takes out the whole shift for downtime without times on its start date', () => {
+        const machine = nightShift({ downtime: [{ date: '2026-10-19', start: '', end: '' }] });
+        expect(availableWindows(machine, settings, '2026-10-19')).toEqual([]);
+        expect(availableWindows(machine, settings, '2026-10-20')).toEqual([{ start: 780, end: 1260 }]);
+    });
+
+    it('leaves daytime breaks unchanged', () => {
+        const machine = { id: 'm1', calendar: { breaks: [{ start: '12:00', end: '12:30' }] } };
+        expect(blockedPeriods(machine, settings).map(({ start, end }) => [start, end])).toEqual([[180, 210]]);
+    });
+
+    it('places daytime downtime on its own date only', () => {
+        const machine = { id: 'm1', calendar: { downtime: [{ date: '2026-10-19', start: '10:00', end: '11:00' }] } };
+        expect(blockedPeriods(machine, settings, '2026-10-19').map(({ start, end }) => [start, end])).toEqual([[60, 120]]);
+        expect(blockedPeriods(machine, settings, '2026-10-20')).toEqual([]);
+    });
+});
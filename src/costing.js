@@ -0,0 +1,53 @@
+// --- Item Costing ---
+// Items can be costed from their parts instead of a lump cost: a share of a
+// material sheet, consumables (masking, assist gas), packaging and labor at
+// the shop's hourly rate. Sheet prices live in one material list, so a price
+// change there re-costs every item cut from that material.
+
+// The material list entry an item is cut from, matched on material name and
+// thickness the same way machine setups are.
+export const materialFor = (item, materials = []) => {
+    const name = (item.material || '').trim().toLowerCase();
+    if (!name) return null;
+    return materials.find(material => material.name.trim().toLowerCase() === name
+        && (parseFloat(material.thickness) || 0) === (parseFloat(item.thickness) || 0)) || null;
+};
+
+export const describeMaterial = (material) => (material.thickness ? `${material.name} ${material.thickness}mm` : material.name);
+
+// Cost of one part broken down by component. missingMaterialPrice is set when
+// the item names a material without a sheet price, so its material cost is 0.
+export const costBreakdown = (item, materials = [], settings = {}) => {
+    const model = item.costModel || {};
+    const material = materialFor(item, materials);
+    const sheetPrice = material ? parseFloat(material.sheetPrice) : NaN;
+    const partsPerSheet = parseFloat(model.partsPerSheet) || 1;
+    const breakdown = {
+        material: sheetPrice >= 0 ? sheetPrice / partsPerSheet : 0,
+        consumables: parseFloat(model.consumables) || 0,
+        packaging: parseFloat(model.packaging) || 0,
+        labor: ((parseFloat(model.laborMinutes) || 0) / 60) * (parseFloat(settings.laborRate) || 0),
+    };
+    return {
+        ...breakdown,
+        total: breakdown.material + breakdown.consumables + breakdown.packaging + breakdown.labor,
+        missingMaterialPrice: Boolean(item.material) && !(sheetPrice >= 0),
+    };
+};
+
+// Items with a cost model get their cost recomputed from the current material
+// prices and labor rate; items with a lump cost are left alone. The result is
+// stored on item.cost so everything that reads the cost (orders, scheduler,
+// CSV export) sees the same figure.
+export const applyCosting = (items, materials = [], settings = {}) => items.map(item => {
+    if (!item.costModel) return item;
+    const cost = costBreakdown(item, materials, settings).total.toFixed(2);
+    return cost === item.cost ? item : { ...item, cost };
+});
+
+// Margin as a share of the price, or null without a price.
+export const marginOf = (item) => {
+    const price = parseFloat(item.price);
+    if (!(price > 0)) return null;
+    return (price - (parseFloat(item.cost) || 0)) / price;
+};
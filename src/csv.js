@@ -0,0 +1,279 @@
+// --- CSV Import/Export ---
+// Reading and writing the item library, orders and schedules as CSV. Imports
+// are checked row by row so the UI can preview problems before anything is
+// saved: rows with errors are skipped, rows with warnings are imported.
+
+import { PRIORITY_LEVELS } from './scheduler';
+import { addOrMergeOrder, createOrderId, pricedFromItem } from './orders';
+
+// Splits CSV text into rows of fields. Handles quoted fields with embedded
+// commas, quotes ("") and line breaks, and both \n and \r\n line endings.
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Blank lines carry no data
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const escapeField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeField).join(',')).join('\r\n');
+
+// Header cells are matched without case, spaces, dashes or underscores, so
+// "Build Time", "build_time" and "buildTime" all name the same column.
+const normalizeHeader = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+// Reads the header row into { field: columnIndex } using each field's aliases.
+const mapColumns = (headerRow, columns) => {
+    const normalized = headerRow.map(normalizeHeader);
+    return Object.fromEntries(Object.entries(columns)
+        .map(([field, aliases]) => [field, normalized.findIndex(header => aliases.includes(header))])
+        .filter(([, index]) => index >= 0));
+};
+
+const ITEM_COLUMNS = {
+    name: ['name', 'item', 'itemname'],
+    buildTime: ['buildtime', 'buildtimemin', 'minutes'],
+    price: ['price'],
+    cost: ['cost'],
+    allowedMachines: ['allowedmachines', 'machines'],
+    material: ['material'],
+    thickness: ['thickness', 'thicknessmm'],
+    setupTime: ['setuptime', 'setuptimemin'],
+    partWidth: ['partwidth', 'widthmm', 'width'],
+    partHeight: ['partheight', 'heightmm', 'height'],
+    partsPerRun: ['partsperrun', 'perrun'],
+    minutesPerRun: ['minutesperrun', 'runtime', 'runtimemin'],
+    notes: ['notes', 'note'],
+};
+
+const REQUIRED_ITEM_FIELDS = ['name', 'buildTime', 'price', 'cost', 'allowedMachines'];
+const OPTIONAL_NUMBER_FIELDS = ['thickness', 'setupTime', 'partWidth', 'partHeight', 'partsPerRun', 'minutesPerRun'];
+
+// Machine lists in a cell are separated by semicolons or pipes.
+const splitList = (value) => value.split(/[;|]/).map(part => part.trim()).filter(Boolean);
+
+const isNumber = (value) => value.trim() !== '' && !isNaN(Number(value));
+
+// Checks an items CSV against the current library. Returns { columnErrors,
+// rows }; each row is { line, values, item, errors, warnings } where item is
+// the item to save (with the id of the library item it replaces, if any).
+export const parseItemsCsv = (text, { items = [], machines = [] } = {}) => {
+    const [headerRow = [], ...dataRows] = parseCsv(text);
+    const columns = mapColumns(headerRow, ITEM_COLUMNS);
+    const missing = REQUIRED_ITEM_FIELDS.filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        return { columnErrors: [`Missing column(s): ${missing.join(', ')}.`], rows: [] };
+    }
+
+    const machineByRef = new Map();
+    machines.forEach(machine => {
+        machineByRef.set(machine.name.toLowerCase(), machine.id);
+        machineByRef.set(String(machine.id).toLowerCase(), machine.id);
+    });
+    const seenNames = new Map();
+
+    const rows = dataRows.map((fields, index) => {
+        const line = index + 2;
+        const values = Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, (fields[column] || '').trim()]));
+        const errors = [];
+        const warnings = [];
+
+        if (!values.name) errors.push('Name is empty.');
+        const nameKey = values.name.toLowerCase();
+        if (values.name && seenNames.has(nameKey)) {
+            errors.push(`Duplicate name, already on line ${seenNames.get(nameKey)}.`);
+        } else if (values.name) {
+            seenNames.set(nameKey, line);
+        }
+
+        ['buildTime', 'price', 'cost'].forEach(field => {
+            if (!isNumber(values[field]) || Number(values[field]) < 0) errors.push(`${field} "${values[field]}" is not a valid number.`);
+        });
+        if (isNumber(values.buildTime) && Number(values.buildTime) === 0) errors.push('buildTime must be more than 0.');
+        OPTIONAL_NUMBER_FIELDS.forEach(field => {
+            if (values[field] && (!isNumber(values[field]) || Number(values[field]) < 0)) errors.push(`${field} "${values[field]}" is not a valid number.`);
+        });
+
+        const machineRefs = splitList(values.allowedMachines);
+        const unknownMachines = machineRefs.filter(ref => !machineByRef.has(ref.toLowerCase()));
+        const allowedMachines = [...new Set(machineRefs.filter(ref => machineByRef.has(ref.toLowerCase())).map(ref => machineByRef.get(ref.toLowerCase())))];
+        if (unknownMachines.length > 0) {
+            (allowedMachines.length > 0 ? warnings : errors).push(`Unknown machine(s): ${unknownMachines.join(', ')}.`);
+        }
+        if (machineRefs.length === 0) errors.push('No allowed machines.');
+
+        const existing = items.find(i => i.name.toLowerCase() === nameKey);
+        if (existing) warnings.push('Replaces the library item with the same name.');
+
+        const item = {
+            ...(existing || {}),
+            name: values.name,
+            buildTime: values.buildTime,
+            price: values.price,
+            cost: values.cost,
+            allowedMachines,
+        };
+        ['material', 'notes', ...OPTIONAL_NUMBER_FIELDS].forEach(field => {
+            if (values[field] !== undefined && values[field] !== '') item[field] = values[field];
+        });
+
+        return { line, values, item, errors, warnings };
+    });
+
+    return { columnErrors: [], rows };
+};
+
+// Adds the error-free rows of a parsed items CSV to the library, replacing
+// items that share their name.
+export const applyItemsImport = (items, rows, idPrefix = `item-${Date.now()}`) => {
+    const updated = [...items];
+    rows.filter(row => row.errors.length === 0).forEach((row, index) => {
+        const position = row.item.id ? updated.findIndex(i => i.id === row.item.id) : -1;
+        if (position >= 0) {
+            updated[position] = row.item;
+        } else {
+            updated.push({ ...row.item, id: `${idPrefix}-${index}` });
+        }
+    });
+    return updated;
+};
+
+export const itemsToCsv = (items, machines = []) => toCsv([
+    ['Name', 'Build Time', 'Price', 'Cost', 'Allowed Machines', 'Material', 'Thickness', 'Setup Time', 'Part Width', 'Part Height', 'Parts Per Run', 'Minutes Per Run', 'Notes'],
+    ...items.map(item => [
+        item.name,
+        item.buildTime,
+        item.price,
+        item.cost,
+        (item.allowedMachines || []).map(id => machines.find(m => m.id === id)?.name || id).join(';'),
+        item.material,
+        item.thickness,
+        item.setupTime,
+        item.partWidth,
+        item.partHeight,
+        item.partsPerRun,
+        item.minutesPerRun,
+        item.notes,
+    ]),
+]);
+
+const ORDER_COLUMNS = {
+    item: ['item', 'itemname', 'name', 'sku', 'itemid'],
+    quantity: ['quantity', 'qty'],
+    customer: ['customer'],
+    dueTime: ['due', 'duetime', 'dueby'],
+    priority: ['priority'],
+};
+
+// Checks an orders CSV against the item library. Items are matched by name or
+// by id (the item's SKU). Rows follow the same shape as parseItemsCsv, with
+// the order to add in row.order.
+export const parseOrdersCsv = (text, { items = [] } = {}) => {
+    const [headerRow = [], ...dataRows] = parseCsv(text);
+    const columns = mapColumns(headerRow, ORDER_COLUMNS);
+    const missing = ['item', 'quantity'].filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        return { columnErrors: [`Missing column(s): ${missing.join(', ')}.`], rows: [] };
+    }
+
+    const rows = dataRows.map((fields, index) => {
+        const line = index + 2;
+        const values = Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, (fields[column] || '').trim()]));
+        const errors = [];
+        const warnings = [];
+
+        const ref = values.item.toLowerCase();
+        const item = items.find(i => i.name.toLowerCase() === ref) || items.find(i => String(i.id).toLowerCase() === ref);
+        if (!item) errors.push(`Unknown item "${values.item}".`);
+
+        const quantity = Number(values.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) errors.push(`Quantity "${values.quantity}" is not a positive whole number.`);
+
+        let dueTime = values.dueTime || '';
+        if (dueTime && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(dueTime)) {
+            errors.push(`Due time "${dueTime}" is not HH:MM.`);
+            dueTime = '';
+        }
+
+        let priority = (values.priority || 'normal').toLowerCase();
+        if (!PRIORITY_LEVELS[priority]) {
+            warnings.push(`Unknown priority "${values.priority}", using normal.`);
+            priority = 'normal';
+        }
+
+        const order = item ? {
+            ...pricedFromItem(item),
+            quantity,
+            customer: values.customer || '',
+            dueTime: dueTime ? dueTime.padStart(5, '0') : '',
+            priority,
+        } : null;
+
+        return { line, values, order, errors, warnings };
+    });
+
+    return { columnErrors: [], rows };
+};
+
+// Adds the error-free rows of a parsed orders CSV, merged into matching
+// orders like orders added by hand.
+export const applyOrdersImport = (orders, rows) => rows
+    .filter(row => row.errors.length === 0)
+    .reduce((current, row) => addOrMergeOrder(current, { ...row.order, id: createOrderId() }), orders);
+
+// One machine's planned tasks across every day of a schedule, in time order.
+export const machineScheduleToCsv = (schedule, machineId, formatTime) => {
+    const days = schedule.days || [{ ...schedule, day: 1 }];
+    return toCsv([
+        ['Day', 'Date', 'Start', 'End', 'Item', 'Pieces', 'Run', 'Customer', 'Changeover (min)', 'Net Profit', 'Late By (min)'],
+        ...days.flatMap(day => (day.machineTimelines[machineId]?.tasks || []).map(task => [
+            day.day,
+            day.date || '',
+            formatTime(task.startTime),
+            formatTime(task.endTime),
+            task.name,
+            task.quantity || 1,
+            task.run ? `${task.run.index} of ${task.run.count}` : (task.parts ? 'Mixed' : ''),
+            task.customer || '',
+            Math.ceil(task.changeover || 0),
+            task.profit.toFixed(2),
+            Math.ceil(task.lateBy || 0),
+        ])),
+    ]);
+};
@@ -0,0 +1,684 @@
+// --- Cut File Estimates ---
+// Reads an item's SVG or DXF cut file into flat geometry (polylines in mm,
+// y pointing down) and measures what drives laser time: the length of the cut
+// paths, the area to raster engrave and the number of pierces (one per cut
+// path). Build time is then estimated from each machine's cut and engrave
+// speeds instead of being typed in by hand.
+//
+// SVG: stroked shapes are cut, filled shapes without a stroke are engraved.
+// DXF: everything is cut, except closed shapes on a layer whose name mentions
+// engraving, etching or raster.
+
+import { machineSpeed } from './scheduler';
+
+const CURVE_SEGMENTS = 16;
+const CIRCLE_SEGMENTS = 64;
+// Raster line interval when a machine doesn't set one, in mm (254 lines/inch)
+export const DEFAULT_LINE_INTERVAL = 0.1;
+
+// --- Geometry ---
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// 2D affine matrices as [a, b, c, d, e, f], as in SVG's matrix()
+const multiply = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1,
+];
+
+const applyMatrix = ([a, b, c, d, e, f], [x, y]) => [a * x + c * y + e, b * x + d * y + f];
+
+const distance = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+// Length of a polyline, including the closing segment of a closed one
+const polylineLength = ({ points, closed }) => {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += distance(points[i - 1], points[i]);
+    if (closed && points.length > 2) length += distance(points[points.length - 1], points[0]);
+    return length;
+};
+
+// Signed area (shoelace); holes wound the other way subtract
+const signedArea = ({ points }) => {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    return area / 2;
+};
+
+// Whether a point lies inside a closed polyline (ray casting)
+const containsPoint = ({ points }, [x, y]) => {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+// Separate closed outlines as one even-odd area: an outline inside an odd
+// number of the others is a hole and is wound against the rest, so its area
+// subtracts like a hole in an SVG path does.
+const evenOddSubpaths = (subpaths) => subpaths.map(subpath => {
+    const depth = subpaths.filter(other => other !== subpath && containsPoint(other, subpath.points[0])).length;
+    const isHole = depth % 2 === 1;
+    return isHole === (signedArea(subpath) > 0) ? { ...subpath, points: [...subpath.points].reverse() } : subpath;
+});
+
+const ellipsePoints = (cx, cy, rx, ry, start = 0, sweep = 2 * Math.PI, rotation = 0) => {
+    const steps = Math.max(4, Math.ceil((Math.abs(sweep) / (2 * Math.PI)) * CIRCLE_SEGMENTS));
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const angle = start + (sweep * i) / steps;
+        const x = rx * Math.cos(angle);
+        const y = ry * Math.sin(angle);
+        points.push([cx + x * cos - y * sin, cy + x * sin + y * cos]);
+    }
+    return points;
+};
+
+const circle = (cx, cy, r) => ({ points: ellipsePoints(cx, cy, r, r).slice(0, -1), closed: true });
+
+// --- SVG ---
+
+const UNIT_MM = { mm: 1, cm: 10, in: 25.4, pt: 25.4 / 72, pc: 25.4 / 6, px: 25.4 / 96, '': 25.4 / 96 };
+
+// "210mm" -> 210; null for missing or relative (%) lengths
+const lengthInMm = (value) => {
+    const match = /^\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*(mm|cm|in|pt|pc|px)?\s*$/i.exec(value || '');
+    return match ? parseFloat(match[1]) * UNIT_MM[(match[2] || '').toLowerCase()] : null;
+};
+
+const numbersIn = (text) => (text || '').match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi)?.map(Number) || [];
+
+const parseTransform = (text) => {
+    let matrix = IDENTITY;
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        const [a = 0, b, c, d, e, f] = numbersIn(match[2]);
+        let next = IDENTITY;
+        if (match[1] === 'matrix') next = [a, b, c, d, e, f];
+        else if (match[1] === 'translate') next = [1, 0, 0, 1, a, b || 0];
+        else if (match[1] === 'scale') next = [a, 0, 0, b ?? a, 0, 0];
+        else if (match[1] === 'skewX') next = [1, 0, Math.tan((a * Math.PI) / 180), 1, 0, 0];
+        else if (match[1] === 'skewY') next = [1, Math.tan((a * Math.PI) / 180), 0, 1, 0, 0];
+        else {
+            const angle = (a * Math.PI) / 180;
+            const rotation = [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0];
+            next = b === undefined ? rotation : multiply(multiply([1, 0, 0, 1, b, c], rotation), [1, 0, 0, 1, -b, -c]);
+        }
+        matrix = multiply(matrix, next);
+    }
+    return matrix;
+};
+
+const parseAttributes = (text) => {
+    const attributes = {};
+    const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) attributes[match[1]] = match[2] ?? match[3];
+    (attributes.style || '').split(';').forEach(declaration => {
+        const [name, ...value] = declaration.split(':');
+        if (name.trim() && value.length > 0) attributes[name.trim()] = value.join(':').trim();
+    });
+    return attributes;
+};
+
+// An SVG arc from its endpoint form to polyline points (SVG spec, F.6.5)
+const arcPoints = ([x1, y1], rx, ry, rotationDegrees, largeArc, sweep, [x2, y2]) => {
+    if (rx === 0 || ry === 0) return [[x2, y2]];
+    const rotation = (rotationDegrees * Math.PI) / 180;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+    let radiusX = Math.abs(rx);
+    let radiusY = Math.abs(ry);
+    const lambda = (x1p * x1p) / (radiusX * radiusX) + (y1p * y1p) / (radiusY * radiusY);
+    if (lambda > 1) {
+        radiusX *= Math.sqrt(lambda);
+        radiusY *= Math.sqrt(lambda);
+    }
+    const numerator = radiusX * radiusX * radiusY * radiusY - radiusX * radiusX * y1p * y1p - radiusY * radiusY * x1p * x1p;
+    const denominator = radiusX * radiusX * y1p * y1p + radiusY * radiusY * x1p * x1p;
+    const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = (factor * radiusX * y1p) / radiusY;
+    const cyp = (-factor * radiusY * x1p) / radiusX;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+    const angleOf = (ux, uy) => Math.atan2(uy, ux);
+    const start = angleOf((x1p - cxp) / radiusX, (y1p - cyp) / radiusY);
+    let delta = angleOf((-x1p - cxp) / radiusX, (-y1p - cyp) / radiusY) - start;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    return ellipsePoints(cx, cy, radiusX, radiusY, start, delta, rotation).slice(1);
+};
+
+const bezierPoints = (controls) => {
+    const points = [];
+    for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+        const t = i / CURVE_SEGMENTS;
+        let level = controls;
+        while (level.length > 1) {
+            level = level.slice(1).map((point, j) => [
+                level[j][0] + (point[0] - level[j][0]) * t,
+                level[j][1] + (point[1] - level[j][1]) * t,
+            ]);
+        }
+        points.push(level[0]);
+    }
+    return points;
+};
+
+// Path data to subpaths of flattened points. Numbers may run together
+// ("1-2.5.5") and arc flags may be written without separators ("011").
+export const parsePathData = (d) => {
+    const subpaths = [];
+    let current = null;
+    let position = [0, 0];
+    let start = [0, 0];
+    let lastControl = null;
+    let lastCommand = '';
+    let index = 0;
+
+    const skipSeparators = () => {
+        while (index < d.length && /[\s,]/.test(d[index])) index += 1;
+    };
+    const hasNumber = () => {
+        skipSeparators();
+        return index < d.length && /[-+.\d]/.test(d[index]);
+    };
+    const readNumber = () => {
+        skipSeparators();
+        const match = /^[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/.exec(d.slice(index));
+        if (!match) throw new Error(`Unreadable path data near "${d.slice(index, index + 12)}".`);
+        index += match[0].length;
+        return parseFloat(match[0]);
+    };
+    const readFlag = () => {
+        skipSeparators();
+        const flag = d[index];
+        if (flag !== '0' && flag !== '1') throw new Error('Unreadable arc flag in path data.');
+        index += 1;
+        return flag === '1';
+    };
+    const moveTo = (point) => {
+        current = { points: [point], closed: false };
+        subpaths.push(current);
+        position = point;
+        start = point;
+    };
+    const lineTo = (points) => {
+        if (!current) moveTo(position);
+        current.points.push(...points);
+        position = points[points.length - 1];
+    };
+
+    while (index < d.length) {
+        skipSeparators();
+        if (index >= d.length) break;
+        let command = d[index];
+        if (/[a-zA-Z]/.test(command)) {
+            index += 1;
+        } else {
+            // Repeated parameters continue the last command; after a moveto they are linetos
+            if (!lastCommand) throw new Error('Path data must start with a moveto.');
+            command = lastCommand === 'M' ? 'L' : lastCommand === 'm' ? 'l' : lastCommand;
+        }
+        const relative = command === command.toLowerCase();
+        const offset = (x, y) => (relative ? [position[0] + x, position[1] + y] : [x, y]);
+        const upper = command.toUpperCase();
+        let control = null;
+
+        if (upper === 'Z') {
+            if (current) {
+                current.closed = true;
+                position = start;
+                current = null;
+            }
+        } else if (upper === 'M') {
+            moveTo(offset(readNumber(), readNumber()));
+        } else if (upper === 'L') {
+            lineTo([offset(readNumber(), readNumber())]);
+        } else if (upper === 'H') {
+            const x = readNumber();
+            lineTo([[relative ? position[0] + x : x, position[1]]]);
+        } else if (upper === 'V') {
+            const y = readNumber();
+            lineTo([[position[0], relative ? position[1] + y : y]]);
+        } else if (upper === 'C' || upper === 'S') {
+            const first = upper === 'C'
+                ? offset(readNumber(), readNumber())
+                : (/[CS]/i.test(lastCommand) && lastControl ? [2 * position[0] - lastControl[0], 2 * position[1] - lastControl[1]] : position);
+            control = offset(readNumber(), readNumber());
+            const end = offset(readNumber(), readNumber());
+            lineTo(bezierPoints([position, first, control, end]));
+        } else if (upper === 'Q' || upper === 'T') {
+            control = upper === 'Q'
+                ? offset(readNumber(), readNumber())
+                : (/[QT]/i.test(lastCommand) && lastControl ? [2 * position[0] - lastControl[0], 2 * position[1] - lastControl[1]] : position);
+            const end = offset(readNumber(), readNumber());
+            lineTo(bezierPoints([position, control, end]));
+        } else if (upper === 'A') {
+            const rx = readNumber();
+            const ry = readNumber();
+            const rotation = readNumber();
+            const largeArc = readFlag();
+            const sweep = readFlag();
+            const end = offset(readNumber(), readNumber());
+            lineTo(arcPoints(position, rx, ry, rotation, largeArc, sweep, end));
+        } else {
+            throw new Error(`Unsupported path command "${command}".`);
+        }
+        lastControl = control;
+        lastCommand = command;
+        if (upper === 'Z' && hasNumber()) throw new Error('Unexpected numbers after a closepath.');
+    }
+    return subpaths.filter(subpath => subpath.points.length > 1);
+};
+
+const pointList = (text) => {
+    const numbers = numbersIn(text);
+    const points = [];
+    for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+    return points;
+};
+
+// Subpaths of one drawable element, in its own coordinates
+const elementSubpaths = (tag, a) => {
+    const number = (name) => parseFloat(a[name]) || 0;
+    switch (tag) {
+        case 'path': return parsePathData(a.d || '');
+        case 'line': return [{ points: [[number('x1'), number('y1')], [number('x2'), number('y2')]], closed: false }];
+        case 'polyline': return [{ points: pointList(a.points), closed: false }];
+        case 'polygon': return [{ points: pointList(a.points), closed: true }];
+        case 'rect': {
+            const [x, y, width, height] = [number('x'), number('y'), number('width'), number('height')];
+            if (!(width > 0 && height > 0)) return [];
+            return [{ points: [[x, y], [x + width, y], [x + width, y + height], [x, y + height]], closed: true }];
+        }
+        case 'circle': return number('r') > 0 ? [circle(number('cx'), number('cy'), number('r'))] : [];
+        case 'ellipse': {
+            if (!(number('rx') > 0 && number('ry') > 0)) return [];
+            return [{ points: ellipsePoints(number('cx'), number('cy'), number('rx'), number('ry')).slice(0, -1), closed: true }];
+        }
+        default: return [];
+    }
+};
+
+const DRAWABLE = new Set(['path', 'line', 'polyline', 'polygon', 'rect', 'circle', 'ellipse']);
+// Content that is never drawn directly
+const HIDDEN = new Set(['defs', 'clipPath', 'mask', 'symbol', 'marker', 'pattern', 'metadata', 'title', 'desc', 'style', 'script']);
+
+const isPainted = (paint) => paint !== undefined && paint !== 'none' && paint !== 'transparent';
+
+export const parseSvg = (text) => {
+    const source = text.replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+    const shapes = [];
+    const warnings = new Set();
+    // Inherited state per open element: transform, fill, stroke, hidden
+    const stack = [{ matrix: IDENTITY, fill: 'black', stroke: 'none', hidden: false, tag: null }];
+    let sawRoot = false;
+    const tagPattern = /<(\/?)([a-zA-Z][\w:.-]*)([^>]*?)(\/?)>/g;
+    let match;
+    while ((match = tagPattern.exec(source)) !== null) {
+        const [, closing, rawTag, attributeText, selfClosing] = match;
+        const tag = rawTag.replace(/^svg:/, '');
+        if (closing) {
+            if (stack.length > 1 && stack[stack.length - 1].tag === tag) stack.pop();
+            continue;
+        }
+        const parent = stack[stack.length - 1];
+        const a = parseAttributes(attributeText);
+        let matrix = multiply(parent.matrix, parseTransform(a.transform));
+        if (tag === 'svg' && !sawRoot) {
+            // Scale the root's user units to millimetres
+            sawRoot = true;
+            const viewBox = numbersIn(a.viewBox);
+            const width = lengthInMm(a.width);
+            const height = lengthInMm(a.height);
+            let scaleX = UNIT_MM.px;
+            let scaleY = UNIT_MM.px;
+            if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+                scaleX = width ? width / viewBox[2] : (height ? height / viewBox[3] : UNIT_MM.px);
+                scaleY = height ? height / viewBox[3] : scaleX;
+                matrix = multiply([scaleX, 0, 0, scaleY, 0, 0], [1, 0, 0, 1, -viewBox[0], -viewBox[1]]);
+            } else {
+                matrix = [scaleX, 0, 0, scaleY, 0, 0];
+            }
+        }
+        const state = {
+            tag,
+            matrix,
+            fill: a.fill === 'inherit' || a.fill === undefined ? parent.fill : a.fill,
+            stroke: a.stroke === 'inherit' || a.stroke === undefined ? parent.stroke : a.stroke,
+            hidden: parent.hidden || HIDDEN.has(tag) || a.display === 'none' || a.visibility === 'hidden',
+        };
+        if (!state.hidden) {
+            if (DRAWABLE.has(tag)) {
+                const kind = isPainted(state.stroke) ? 'cut' : isPainted(state.fill) ? 'engrave' : null;
+                if (kind) {
+                    const subpaths = elementSubpaths(tag, a)
+                        .map(subpath => ({ ...subpath, points: subpath.points.map(point => applyMatrix(matrix, point)) }));
+                    if (subpaths.length > 0) shapes.push({ kind, subpaths });
+                }
+            } else if (tag === 'text') {
+                warnings.add('Text was skipped; convert it to paths to include it.');
+            } else if (tag === 'image') {
+                warnings.add('Embedded images were skipped.');
+            } else if (tag === 'use') {
+                warnings.add('Cloned shapes (<use>) were skipped; unlink the clones to include them.');
+            }
+        }
+        if (!selfClosing) stack.push(state);
+    }
+    if (!sawRoot) throw new Error('This is not an SVG file.');
+    return { shapes, warnings: [...warnings] };
+};
+
+// --- DXF ---
+
+// $INSUNITS codes in mm; unitless drawings are taken to be in mm
+const DXF_UNIT_MM = { 1: 25.4, 2: 304.8, 4: 1, 5: 10, 6: 1000, 8: 0.0000254, 9: 0.0254, 10: 914.4 };
+const ENGRAVE_LAYER = /engrav|etch|raster/i;
+
+// Group code/value pairs of a DXF file
+const dxfPairs = (text) => {
+    const lines = text.split(/\r?\n/);
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2) pairs.push([parseInt(lines[i], 10), lines[i + 1].trim()]);
+    return pairs;
+};
+
+// Polyline points with bulges (arc segments) between vertices. A bulge is the
+// tangent of a quarter of the arc's angle, positive for counter-clockwise.
+const bulgePoints = (vertices, closed) => {
+    if (!vertices.some(vertex => vertex.bulge)) return vertices.map(vertex => vertex.point);
+    const count = closed ? vertices.length : vertices.length - 1;
+    const result = [vertices[0].point];
+    for (let i = 0; i < count; i++) {
+        const from = vertices[i];
+        const to = vertices[(i + 1) % vertices.length];
+        if (from.bulge) {
+            const [x1, y1] = from.point;
+            const [x2, y2] = to.point;
+            const chord = distance(from.point, to.point);
+            const angle = 4 * Math.atan(from.bulge);
+            const offset = (chord / 2) * ((1 - from.bulge * from.bulge) / (2 * from.bulge));
+            const cx = (x1 + x2) / 2 - ((y2 - y1) / chord) * offset;
+            const cy = (y1 + y2) / 2 + ((x2 - x1) / chord) * offset;
+            const radius = distance([cx, cy], from.point);
+            result.push(...ellipsePoints(cx, cy, radius, radius, Math.atan2(y1 - cy, x1 - cx), angle).slice(1, -1));
+        }
+        if (i + 1 < vertices.length) result.push(to.point);
+    }
+    return result;
+};
+
+// A B-spline evaluated with de Boor's algorithm; falls back to the fit or
+// control points when the knots don't match.
+const splinePoints = (degree, knots, controls, fitPoints) => {
+    if (controls.length <= degree || knots.length !== controls.length + degree + 1) {
+        return fitPoints.length > 1 ? fitPoints : controls;
+    }
+    const evaluate = (t) => {
+        let span = degree;
+        while (span < controls.length - 1 && t >= knots[span + 1]) span += 1;
+        const d = controls.slice(span - degree, span + 1).map(point => [...point]);
+        for (let r = 1; r <= degree; r++) {
+            for (let j = degree; j >= r; j--) {
+                const i = span - degree + j;
+                const alpha = (t - knots[i]) / (knots[i + degree - r + 1] - knots[i] || 1);
+                d[j] = [(1 - alpha) * d[j - 1][0] + alpha * d[j][0], (1 - alpha) * d[j - 1][1] + alpha * d[j][1]];
+            }
+        }
+        return d[degree];
+    };
+    const start = knots[degree];
+    const end = knots[controls.length];
+    const steps = CURVE_SEGMENTS * (controls.length - degree);
+    return Array.from({ length: steps + 1 }, (_, i) => evaluate(start + ((end - start) * i) / steps));
+};
+
+export const parseDxf = (text) => {
+    const pairs = dxfPairs(text);
+    const insunits = pairs.findIndex(([code, value]) => code === 9 && value === '$INSUNITS');
+    const scale = DXF_UNIT_MM[insunits >= 0 ? parseInt(pairs[insunits + 1]?.[1], 10) : 4] || 1;
+    const entitiesAt = pairs.findIndex(([code, value], i) => code === 0 && value === 'SECTION' && pairs[i + 1]?.[1] === 'ENTITIES');
+    if (entitiesAt < 0) throw new Error('This DXF file has no ENTITIES section.');
+
+    // Entities as { type, values: [[code, value]] } up to the end of the section
+    const entities = [];
+    for (let i = entitiesAt + 2; i < pairs.length; i++) {
+        const [code, value] = pairs[i];
+        if (code === 0) {
+            if (value === 'ENDSEC') break;
+            entities.push({ type: value, values: [] });
+        } else if (entities.length > 0) {
+            entities[entities.length - 1].values.push([code, value]);
+        }
+    }
+
+    const shapes = [];
+    // Engraved outlines are filled together, so letters and rings keep their holes
+    const engraved = [];
+    const warnings = new Set();
+    const toMm = ([x, y]) => [x * scale, -y * scale];
+    const add = (layer, subpath) => {
+        if (subpath.points.length < 2) return;
+        const mm = { ...subpath, points: subpath.points.map(toMm) };
+        if (subpath.closed && ENGRAVE_LAYER.test(layer)) engraved.push(mm);
+        else shapes.push({ kind: 'cut', subpaths: [mm] });
+    };
+    let polyline = null;
+
+    entities.forEach(({ type, values }) => {
+        const first = (code, fallback = 0) => {
+            const found = values.find(([c]) => c === code);
+            return found ? parseFloat(found[1]) : fallback;
+        };
+        const all = (code) => values.filter(([c]) => c === code).map(([, value]) => parseFloat(value));
+        const pointsOf = (xCode, yCode) => {
+            const xs = all(xCode);
+            const ys = all(yCode);
+            return xs.map((x, i) => [x, ys[i] ?? 0]);
+        };
+        const layer = values.find(([c]) => c === 8)?.[1] || '';
+        const flags = first(70);
+
+        switch (type) {
+            case 'LINE':
+                add(layer, { points: [[first(10), first(20)], [first(11), first(21)]], closed: false });
+                break;
+            case 'CIRCLE':
+                add(layer, circle(first(10), first(20), first(40)));
+                break;
+            case 'ARC': {
+                const start = (first(50) * Math.PI) / 180;
+                let sweep = ((first(51) - first(50)) * Math.PI) / 180;
+                if (sweep <= 0) sweep += 2 * Math.PI;
+                add(layer, { points: ellipsePoints(first(10), first(20), first(40), first(40), start, sweep), closed: false });
+                break;
+            }
+            case 'ELLIPSE': {
+                const [mx, my] = [first(11), first(21)];
+                const start = first(41, 0);
+                let sweep = first(42, 2 * Math.PI) - start;
+                if (sweep <= 0) sweep += 2 * Math.PI;
+                const full = Math.abs(sweep - 2 * Math.PI) < 1e-6;
+                const points = ellipsePoints(first(10), first(20), Math.hypot(mx, my), Math.hypot(mx, my) * first(40, 1), start, sweep, Math.atan2(my, mx));
+                add(layer, { points: full ? points.slice(0, -1) : points, closed: full });
+                break;
+            }
+            case 'LWPOLYLINE': {
+                // Vertices are 10/20 pairs, each optionally followed by its 42 bulge
+                const vertices = [];
+                values.forEach(([code, value]) => {
+                    if (code === 10) vertices.push({ point: [parseFloat(value), 0], bulge: 0 });
+                    else if (code === 20 && vertices.length > 0) vertices[vertices.length - 1].point[1] = parseFloat(value);
+                    else if (code === 42 && vertices.length > 0) vertices[vertices.length - 1].bulge = parseFloat(value);
+                });
+                const closed = (flags & 1) === 1;
+                add(layer, { points: bulgePoints(vertices, closed), closed });
+                break;
+            }
+            case 'POLYLINE':
+                polyline = { layer, closed: (flags & 1) === 1, vertices: [] };
+                break;
+            case 'VERTEX':
+                if (polyline) polyline.vertices.push({ point: [first(10), first(20)], bulge: first(42) });
+                break;
+            case 'SEQEND':
+                if (polyline) add(polyline.layer, { points: bulgePoints(polyline.vertices, polyline.closed), closed: polyline.closed });
+                polyline = null;
+                break;
+            case 'SPLINE': {
+                const closed = (flags & 1) === 1;
+                add(layer, { points: splinePoints(first(71, 3), all(40), pointsOf(10, 20), pointsOf(11, 21)), closed });
+                break;
+            }
+            case 'POINT':
+                break;
+            case 'TEXT':
+            case 'MTEXT':
+                warnings.add('Text was skipped; explode it to outlines to include it.');
+                break;
+            case 'INSERT':
+                warnings.add('Block references were skipped; explode them to include them.');
+                break;
+            default:
+                warnings.add(`${type} entities were skipped.`);
+        }
+    });
+    if (engraved.length > 0) shapes.push({ kind: 'engrave', subpaths: evenOddSubpaths(engraved) });
+    return { shapes, warnings: [...warnings] };
+};
+
+// --- Measuring & Estimating ---
+
+const round = (value) => Math.round(value * 10) / 10;
+const format = (value) => String(round(value));
+
+// A compact SVG path of the parsed shapes for previews, in mm. Points closer
+// than `tolerance` to the last one kept are dropped, so detailed files stay
+// quick to draw.
+const previewPath = (shapes, tolerance) => shapes.flatMap(shape => shape.subpaths).map(({ points, closed }) => {
+    const kept = [];
+    points.forEach((point, i) => {
+        if (i === 0 || i === points.length - 1 || distance(point, kept[kept.length - 1]) >= tolerance) kept.push(point);
+    });
+    const coordinates = kept.map(([x, y]) => `${format(x)} ${format(y)}`);
+    return `M${coordinates.join('L')}${closed ? 'Z' : ''}`;
+}).join('');
+
+// Subpaths of a preview path as written by previewPath
+const previewSubpaths = (d) => (d.match(/M[^M]*/g) || []).map(part => ({
+    points: part.replace(/^M|Z$/g, '').split('L').map(pair => pair.trim().split(/\s+/).map(Number)),
+    closed: part.endsWith('Z'),
+}));
+
+// Cut length (mm), engrave area (mm²), pierces and size of parsed shapes,
+// with a detailed preview for the item form (see savedCutFile).
+export const measureCutFile = ({ shapes, warnings = [] }) => {
+    const points = shapes.flatMap(shape => shape.subpaths.flatMap(subpath => subpath.points));
+    if (points.length === 0) throw new Error('No cut or engrave shapes were found in the file.');
+    const [minX, minY, maxX, maxY] = points.reduce(
+        ([x1, y1, x2, y2], [x, y]) => [Math.min(x1, x), Math.min(y1, y), Math.max(x2, x), Math.max(y2, y)],
+        [Infinity, Infinity, -Infinity, -Infinity],
+    );
+    const cuts = shapes.filter(shape => shape.kind === 'cut');
+    const engraves = shapes.filter(shape => shape.kind === 'engrave');
+    const size = Math.max(maxX - minX, maxY - minY);
+    const margin = size * 0.02 || 1;
+    return {
+        cutLength: round(cuts.reduce((sum, shape) => sum + shape.subpaths.reduce((total, subpath) => total + polylineLength(subpath), 0), 0)),
+        engraveArea: round(engraves.reduce((sum, shape) => sum + Math.abs(shape.subpaths.reduce((total, subpath) => total + signedArea(subpath), 0)), 0)),
+        pierces: cuts.reduce((sum, shape) => sum + shape.subpaths.length, 0),
+        width: round(maxX - minX),
+        height: round(maxY - minY),
+        warnings,
+        preview: {
+            viewBox: [minX - margin, minY - margin, maxX - minX + 2 * margin, maxY - minY + 2 * margin].map(format).join(' '),
+            cut: previewPath(cuts, size / 500),
+            engrave: previewPath(engraves, size / 500),
+        },
+    };
+};
+
+// The cut file summary kept on an item: file name, format and measurements.
+export const readCutFile = (name, text) => {
+    const type = /\.dxf$/i.test(name) ? 'dxf' : /\.svg$/i.test(name) ? 'svg' : null;
+    if (!type) throw new Error('Only SVG and DXF files can be read.');
+    return { name, format: type, ...measureCutFile(type === 'dxf' ? parseDxf(text) : parseSvg(text)) };
+};
+
+// What an item keeps of a cut file: its measurements and a coarser preview,
+// since the full preview's paths grow with the drawing's detail and would
+// bloat the saved data. Points closer than 1% of the drawing's size are dropped.
+export const savedCutFile = ({ preview, ...summary }) => {
+    if (!preview) return summary;
+    const [, , width, height] = numbersIn(preview.viewBox);
+    const tolerance = Math.max(width, height) / 100;
+    return {
+        ...summary,
+        preview: {
+            viewBox: preview.viewBox,
+            cut: previewPath([{ subpaths: previewSubpaths(preview.cut) }], tolerance),
+            engrave: previewPath([{ subpaths: previewSubpaths(preview.engrave) }], tolerance),
+        },
+    };
+};
+
+export const hasCutSpeeds = (machine) => parseFloat(machine.cutSpeed) > 0 || parseFloat(machine.engraveSpeed) > 0;
+
+// Minutes a machine needs for one cut file: cut length at its cut speed, the
+// engrave area line by line at its engrave speed, and its pierce time per
+// pierce. Null when the machine lacks a speed the file needs.
+export const machineMinutesFor = (cutFile, machine) => {
+    const cutSpeed = parseFloat(machine.cutSpeed);
+    const engraveSpeed = parseFloat(machine.engraveSpeed);
+    const lineInterval = parseFloat(machine.lineInterval) > 0 ? parseFloat(machine.lineInterval) : DEFAULT_LINE_INTERVAL;
+    if ((cutFile.cutLength > 0 && !(cutSpeed > 0)) || (cutFile.engraveArea > 0 && !(engraveSpeed > 0))) return null;
+    const seconds = (cutFile.cutLength > 0 ? cutFile.cutLength / cutSpeed : 0)
+        + (cutFile.engraveArea > 0 ? cutFile.engraveArea / (engraveSpeed * lineInterval) : 0)
+        + cutFile.pierces * (parseFloat(machine.pierceTime) || 0);
+    return seconds / 60;
+};
+
+// Per allowed machine: the minutes it needs and the build time that gives
+// those minutes after the scheduler applies its speed factor. The item's
+// estimate is the largest of those, so no machine is planned too fast.
+export const estimateBuildTime = (cutFile, machines, allowedMachineIds = []) => {
+    const perMachine = machines
+        .filter(machine => allowedMachineIds.includes(machine.id))
+        .map(machine => {
+            const minutes = machineMinutesFor(cutFile, machine);
+            return { machineId: machine.id, name: machine.name, minutes, buildTime: minutes === null ? null : minutes * machineSpeed(machine) };
+        });
+    const estimates = perMachine.filter(machine => machine.buildTime !== null).map(machine => machine.buildTime);
+    return {
+        perMachine,
+        buildTime: estimates.length > 0 ? format(Math.max(0.1, ...estimates)) : null,
+    };
+};
+
+// The library with estimated build times re-run against the machines, for
+// items whose build time still comes from their cut file.
+export const reestimateItems = (items, machines) => items.map(item => {
+    if (!item.cutFile || !item.buildTimeFromFile) return item;
+    const { buildTime } = estimateBuildTime(item.cutFile, machines, item.allowedMachines);
+    return buildTime && buildTime !== item.buildTime ? { ...item, buildTime } : item;
+});
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { readCutFile, savedCutFile } from './cutFile';
+
+const square = (layer, x, y, size) => [
+    '0', 'LWPOLYLINE', '8', layer, '90', '4', '70', '1',
+    '10', x, '20', y,
+    '10', x + size, '20', y,
+    '10', x + size, '20', y + size,
+    '10', x, '20', y + size,
+];
+
+const dxf = (...entities) => ['0', 'SECTION', '2', 'ENTITIES', ...entities.flat(), '0', 'ENDSEC', '0', 'EOF'].join('\n');
+
+describe('DXF engrave areas', () => {
+    it('subtracts outlines nested inside another, and adds islands inside those back', () => {
+        const file = readCutFile('ring.dxf', dxf(square('ENGRAVE', 0, 0, 100), square('ENGRAVE', 25, 25, 50), square('ENGRAVE', 40, 40, 20)));
+        expect(file.engraveArea).toBe(10000 - 2500 + 400);
+    });
+
+    it('adds up separate outlines whatever their winding', () => {
+        const reversed = [
+            '0', 'LWPOLYLINE', '8', 'ENGRAVE', '90', '4', '70', '1',
+            '10', 200, '20', 0, '10', 200, '20', 10, '10', 210, '20', 10, '10', 210, '20', 0,
+        ];
+        const file = readCutFile('dots.dxf', dxf(square('ENGRAVE', 0, 0, 10), reversed));
+        expect(file.engraveArea).toBe(200);
+    });
+
+    it('keeps outlines on other layers as cuts', () => {
+        const file = readCutFile('plate.dxf', dxf(square('0', 0, 0, 100), square('ENGRAVE', 10, 10, 20)));
+        expect(file).toMatchObject({ engraveArea: 400, cutLength: 400, pierces: 1 });
+    });
+});
+
+describe('cut file kept on an item', () => {
+    it('keeps a coarser preview of the same drawing', () => {
+        const file = readCutFile('plate.dxf', dxf(square('0', 0, 0, 100), ['0', 'CIRCLE', '8', '0', '10', '50', '20', '50', '40', '2']));
+        const saved = savedCutFile(file);
+        expect(saved).toMatchObject({ name: 'plate.dxf', cutLength: file.cutLength });
+        expect(saved.preview.viewBox).toBe(file.preview.viewBox);
+        expect(saved.preview.cut.length).toBeLessThan(file.preview.cut.length);
+        expect(saved.preview.cut.match(/M[^M]*Z/g)).toHaveLength(2);
+    });
+
+    it('simplifies a saved preview no further', () => {
+        const saved = savedCutFile(readCutFile('plate.dxf', dxf(square('0', 0, 0, 100))));
+        expect(savedCutFile(saved)).toEqual(saved);
+    });
+});
@@ -0,0 +1,190 @@
+// --- Data Schema ---
+// Versioning, migration and validation of the app's saved data: the blob in
+// local storage and backup files share the same shape. Every change to that
+// shape bumps SCHEMA_VERSION and adds a migration that upgrades data saved by
+// the previous version, so old blobs keep loading.
+
+import { savedCutFile } from './cutFile';
+
+export const SCHEMA_VERSION = 6;
+
+export const BACKUP_APP_ID = 'laser-production-scheduler';
+
+export const defaultData = () => ({
+    version: SCHEMA_VERSION,
+    items: [],
+    machines: [{ id: 'default-machine-1', name: 'Laser Cutter' }], // Start with one machine
+    orders: [],
+    materials: [],
+    history: [],
+    scenarios: [],
+    schedule: null,
+    settings: { workHours: 8, workdayStartHour: 9 },
+});
+
+// Data saved before machines were referenced by id stored machine names in
+// items and schedules. Any reference that matches a machine name (and not an
+// id) is swapped for that machine's id; running it twice changes nothing.
+const migrateMachineReferences = (data) => {
+    const machines = data.machines || [];
+    const ids = new Set(machines.map(m => m.id));
+    const idByName = Object.fromEntries(machines.map(m => [m.name, m.id]));
+    const toId = (ref) => (ids.has(ref) || !(ref in idByName) ? ref : idByName[ref]);
+    const migrateAllowed = (entry) => ({ ...entry, allowedMachines: (entry.allowedMachines || []).map(toId) });
+    const migrateTimelines = (timelines) => timelines && Object.fromEntries(
+        Object.entries(timelines).map(([ref, timeline]) => [toId(ref), {
+            ...timeline,
+            name: timeline.name || ref,
+            tasks: (timeline.tasks || []).map(migrateAllowed),
+        }])
+    );
+
+    let schedule = data.schedule;
+    if (schedule) {
+        schedule = {
+            ...schedule,
+            machineTimelines: migrateTimelines(schedule.machineTimelines),
+            days: schedule.days?.map(day => ({ ...day, machineTimelines: migrateTimelines(day.machineTimelines) })),
+        };
+    }
+
+    return { ...data, items: (data.items || []).map(migrateAllowed), schedule };
+};
+
+// Orders used to follow the item library; they now carry the price, cost and
+// build time they were placed at. Existing orders take the library values as
+// they are now, which is what they were being scheduled with.
+const snapshotOrderPrices = (data) => {
+    const items = data.items || [];
+    const snapshot = (order) => {
+        const item = items.find(i => i.id === order.itemId);
+        if (order.snapshot || !item) return order;
+        return { ...order, snapshot: { price: item.price, cost: item.cost, buildTime: item.buildTime, capturedAt: null } };
+    };
+    const orders = (data.orders || []).map(snapshot);
+    const schedule = data.schedule && data.schedule.orders
+        ? { ...data.schedule, orders: data.schedule.orders.map(snapshot) }
+        : data.schedule;
+    return { ...data, orders, schedule };
+};
+
+// Sheet prices for itemized costing live in their own list.
+const addMaterials = (data) => ({ ...data, materials: data.materials || [] });
+
+// Completed schedules are archived for analytics; older data has none.
+const addHistory = (data) => ({ ...data, history: data.history || [] });
+
+// What-if scenarios are saved alongside the data they override.
+const addScenarios = (data) => ({ ...data, scenarios: data.scenarios || [] });
+
+// Items used to keep their cut file's full preview paths; they are reduced to
+// the coarser preview saved items keep.
+const simplifyCutFilePreviews = (data) => ({
+    ...data,
+    items: (data.items || []).map(item => (item.cutFile ? { ...item, cutFile: savedCutFile(item.cutFile) } : item)),
+});
+
+// MIGRATIONS[n] upgrades data from version n to n + 1. Data saved before
+// versioning has no version field and counts as version 0.
+const MIGRATIONS = [
+    migrateMachineReferences,
+    snapshotOrderPrices,
+    addMaterials,
+    addHistory,
+    addScenarios,
+    simplifyCutFilePreviews,
+];
+
+// Upgrades data of any older version to SCHEMA_VERSION. Throws for data
+// written by a newer version of the app, which this one can't read safely.
+export const migrateData = (data) => {
+    const version = data.version || 0;
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`This data was saved by a newer version of the app (schema ${version}, this app reads up to ${SCHEMA_VERSION}).`);
+    }
+    const migrated = MIGRATIONS.slice(version).reduce((current, migrate) => migrate(current), data);
+    return { ...migrated, version: SCHEMA_VERSION };
+};
+
+// Checks the shape of data read from a backup file. Returns a list of
+// problems; an empty list means the data can be migrated and used.
+export const validateData = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return ['The file does not contain a data object.'];
+    const errors = [];
+    if (data.version !== undefined && !Number.isInteger(data.version)) errors.push('The schema version is not a whole number.');
+    if (data.version > SCHEMA_VERSION) errors.push(`The file was saved by a newer version of the app (schema ${data.version}).`);
+    ['items', 'machines', 'orders', 'materials', 'history', 'scenarios'].forEach(key => {
+        if (data[key] === undefined) return;
+        if (!Array.isArray(data[key])) {
+            errors.push(`"${key}" must be a list.`);
+            return;
+        }
+        const missingId = data[key].filter(entry => !entry || typeof entry !== 'object' || entry.id === undefined || entry.id === null);
+        if (missingId.length > 0) errors.push(`${missingId.length} entries in "${key}" have no id.`);
+    });
+    if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+        errors.push('"settings" must be an object.');
+    }
+    if (!['items', 'machines', 'orders', 'settings'].some(key => data[key] !== undefined)) {
+        errors.push('The file has no items, machines, orders or settings.');
+    }
+    return errors;
+};
+
+// The dataset as written to a backup file.
+export const toBackup = (data, exportedAt = new Date()) => ({
+    app: BACKUP_APP_ID,
+    exportedAt: exportedAt.toISOString(),
+    ...data,
+    version: SCHEMA_VERSION,
+});
+
+const mergeById = (current, incoming) => {
+    const incomingIds = new Set(incoming.map(entry => entry.id));
+    return [...current.filter(entry => !incomingIds.has(entry.id)), ...incoming];
+};
+
+// Adds imported items, machines, orders, materials, history and scenarios to
+// the current data; entries with an id that already exists are replaced by the
+// imported one. Current settings win over imported ones, and the schedule is
+// dropped when orders were imported, because the orders behind it changed.
+export const mergeData = (current, incoming) => ({
+    ...current,
+    items: mergeById(current.items, incoming.items || []),
+    machines: mergeById(current.machines, incoming.machines || []),
+    orders: mergeById(current.orders, incoming.orders || []),
+    materials: mergeById(current.materials || [], incoming.materials || []),
+    history: mergeById(current.history || [], incoming.history || []),
+    scenarios: mergeById(current.scenarios || [], incoming.scenarios || []),
+    settings: { ...(incoming.settings || {}), ...current.settings },
+    schedule: (incoming.orders || []).length > 0 ? null : current.schedule,
+    version: SCHEMA_VERSION,
+});
+
+// Combines the server's data with this device's after a sync conflict. Both
+// sides' entries are kept, this device's winning where both have the same id,
+// and this device's settings win too. The schedule is this device's, or the
+// server's when there is none here; it shows as stale if the merged orders no
+// longer match it. Deletions aren't recorded, so an entry deleted on one side
+// comes back from the other.
+export const mergeSyncedData = (remote, local) => ({
+    ...remote,
+    ...local,
+    items: mergeById(remote.items, local.items),
+    machines: mergeById(remote.machines, local.machines),
+    orders: mergeById(remote.orders, local.orders),
+    materials: mergeById(remote.materials || [], local.materials || []),
+    history: mergeById(remote.history || [], local.history || []),
+    scenarios: mergeById(remote.scenarios || [], local.scenarios || []),
+    settings: { ...remote.settings, ...local.settings },
+    schedule: local.schedule || remote.schedule || null,
+    version: SCHEMA_VERSION,
+});
+
+// Reads a validated backup file: its data migrated to SCHEMA_VERSION, without
+// the backup's own header fields, and when it was exported.
+export const fromBackup = (backup) => {
+    const migrated = migrateData(backup);
+    const data = Object.fromEntries(Object.entries(migrated).filter(([key]) => key !== 'app' && key !== 'exportedAt'));
+    return { data, exportedAt: backup.exportedAt || null };
+};
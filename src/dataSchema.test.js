@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { defaultData, mergeSyncedData } from './dataSchema';
+
+const dataset = (overrides) => ({ ...defaultData(), ...overrides });
+
+describe('merging after a sync conflict', () => {
+    const remote = dataset({
+        items: [{ id: 'a', name: 'Server A' }, { id: 'b', name: 'Server B' }],
+        orders: [{ id: 'o-remote', itemId: 'b', quantity: 1 }],
+        settings: { workHours: 10, planningDays: 3 },
+        schedule: { scheduleDate: '2026-10-18', orders: [] },
+    });
+    const local = dataset({
+        items: [{ id: 'a', name: 'Local A' }, { id: 'c', name: 'Local C' }],
+        orders: [{ id: 'o-local', itemId: 'a', quantity: 2 }],
+        settings: { workHours: 8 },
+        schedule: { scheduleDate: '2026-10-19', orders: [] },
+    });
+
+    it("keeps both sides' entries with this device's version of shared ids", () => {
+        const merged = mergeSyncedData(remote, local);
+        expect(merged.items.map(item => item.name).sort()).toEqual(['Local A', 'Local C', 'Server B']);
+        expect(merged.orders.map(order => order.id).sort()).toEqual(['o-local', 'o-remote']);
+    });
+
+    it("lets this device's settings win", () => {
+        expect(mergeSyncedData(remote, local).settings).toMatchObject({ workHours: 8, planningDays: 3 });
+    });
+
+    it("keeps this device's schedule, or the server's when there is none here", () => {
+        expect(mergeSyncedData(remote, local).schedule.scheduleDate).toBe('2026-10-19');
+        expect(mergeSyncedData(remote, { ...local, schedule: null }).schedule.scheduleDate).toBe('2026-10-18');
+    });
+});
@@ -0,0 +1,119 @@
+// --- iCalendar Export ---
+// The schedule as an .ics calendar (RFC 5545) for one machine or all of them,
+// so the plan shows up in whatever calendar app the shop already uses. Every
+// task or run is one event, or one per stretch of work when breaks or
+// downtime split it, so the calendar doesn't show the machine busy through
+// them. Times are local "floating" times: the schedule
+// date plus workdayStartHour plus the task's minutes, with no time zone, so
+// they read the same on every device.
+
+import { addDays, toDateString } from './calendar';
+import { BACKUP_APP_ID } from './dataSchema';
+import { describeRun, taskParts } from './scheduler';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local date-time on the workday axis as "YYYYMMDDTHHMMSS"; minutes past
+// midnight roll over into the next day.
+const localDateTime = (date, startHour, minutesFromStart) => {
+    const [year, month, day] = date.split('-').map(n => parseInt(n, 10));
+    const time = new Date(year, month - 1, day, 0, Math.round(startHour * 60 + minutesFromStart));
+    return `${time.getFullYear()}${pad(time.getMonth() + 1)}${pad(time.getDate())}T${pad(time.getHours())}${pad(time.getMinutes())}00`;
+};
+
+const utcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TEXT values escape backslashes, semicolons, commas and line breaks.
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets continue on lines starting with a
+// space. Characters are never split across lines.
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        if (size + charSize > 75) {
+            lines.push(current);
+            current = ' ';
+            size = 1;
+        }
+        current += char;
+        size += charSize;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+};
+
+const taskSummary = (task, machineName, withMachine) => {
+    const what = task.parts
+        ? `Mixed run (${task.parts.map(part => part.name).join(', ')})`
+        : `${task.name}${(task.quantity || 1) > 1 ? ` × ${task.quantity}` : ''}`;
+    return withMachine ? `${machineName}: ${what}` : what;
+};
+
+const taskDescription = (task) => {
+    const lines = taskParts(task).map(part => `${part.quantity}× ${part.name}${part.customer ? ` for ${part.customer}` : ''}`);
+    const run = describeRun(task);
+    if (task.run && run) lines.push(run);
+    lines.push(`Net profit: $${task.profit.toFixed(2)}`);
+    if (task.changeover > 0) lines.push(`Includes ${Math.ceil(task.changeover)} min changeover`);
+    if (task.lateBy > 0) lines.push(`Late by ${Math.ceil(task.lateBy)} min`);
+    return lines.join('\n');
+};
+
+// The calendar for the given machines (all of the schedule's machines when
+// none are given). `machines` supplies current names; `settings` the workday
+// start.
+export const scheduleToIcs = (schedule, { machines = [], settings = {}, machineIds = null, generatedAt = new Date() } = {}) => {
+    const days = schedule.days || [{ ...schedule, day: 1 }];
+    const scheduleDate = schedule.scheduleDate || toDateString(generatedAt);
+    const startHour = settings.workdayStartHour ?? 9;
+    const ids = machineIds || [...new Set(days.flatMap(day => Object.keys(day.machineTimelines)))];
+    const machineName = (machineId, timeline) => machines.find(m => m.id === machineId)?.name || timeline?.name || machineId;
+    const single = ids.length === 1;
+    const calendarName = single
+        ? `Production schedule ${scheduleDate}: ${machineName(ids[0], days[0]?.machineTimelines[ids[0]])}`
+        : `Production schedule ${scheduleDate}`;
+
+    const events = days.flatMap((day, index) => {
+        const date = day.date || addDays(scheduleDate, index);
+        return ids.flatMap(machineId => {
+            const timeline = day.machineTimelines[machineId];
+            const name = machineName(machineId, timeline);
+            return (timeline?.tasks || []).flatMap(task => {
+                const segments = task.segments?.length > 0 ? task.segments : [{ start: task.startTime, end: task.endTime }];
+                const split = segments.length > 1;
+                return segments.map((segment, i) => [
+                    'BEGIN:VEVENT',
+                    `UID:${scheduleDate}-${machineId}-${task.id}${split ? `-part${i + 1}` : ''}@${BACKUP_APP_ID}`,
+                    `DTSTAMP:${utcDateTime(generatedAt)}`,
+                    `DTSTART:${localDateTime(date, startHour, segment.start)}`,
+                    `DTEND:${localDateTime(date, startHour, segment.end)}`,
+                    `SUMMARY:${escapeText(taskSummary(task, name, !single))}${split ? ` (part ${i + 1} of ${segments.length})` : ''}`,
+                    `DESCRIPTION:${escapeText(taskDescription(task))}`,
+                    `LOCATION:${escapeText(name)}`,
+                    `CATEGORIES:${escapeText(name)}`,
+                    'END:VEVENT',
+                ]);
+            });
+        });
+    });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${BACKUP_APP_ID}//Schedule Export//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendarName)}`,
+        ...events.flat(),
+        'END:VCALENDAR',
+    ].map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { scheduleToIcs } from './ical';
+
+const task = (overrides) => ({ id: 'order-1-0', name: 'Coaster', quantity: 1, profit: 6, startTime: 0, endTime: 120, ...overrides });
+
+const eventsOf = (ics) => ics.split('BEGIN:VEVENT').slice(1).map(event => Object.fromEntries(
+    event.split('\r\n').filter(line => line.includes(':')).map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)]),
+));
+
+const exportTasks = (tasks) => scheduleToIcs(
+    { scheduleDate: '2026-10-19', machineTimelines: { m1: { name: 'Laser A', tasks } } },
+    { settings: { workdayStartHour: 9 }, generatedAt: new Date('2026-10-19T06:00:00Z') },
+);
+
+describe('calendar events for tasks', () => {
+    it('exports a task worked in one stretch as one event', () => {
+        const [event] = eventsOf(exportTasks([task({ segments: [{ start: 0, end: 120 }] })]));
+        expect(event).toMatchObject({ DTSTART: '20261019T090000', DTEND: '20261019T110000', SUMMARY: 'Coaster' });
+        expect(event.UID).toBe('2026-10-19-m1-order-1-0@laser-production-scheduler');
+    });
+
+    it('exports one event per stretch of a task split by a break', () => {
+        const events = eventsOf(exportTasks([task({ endTime: 150, segments: [{ start: 0, end: 60 }, { start: 90, end: 150 }] })]));
+        expect(events.map(event => [event.DTSTART, event.DTEND])).toEqual([
+            ['20261019T090000', '20261019T100000'],
+            ['20261019T103000', '20261019T113000'],
+        ]);
+        expect(events.map(event => event.SUMMARY)).toEqual(['Coaster (part 1 of 2)', 'Coaster (part 2 of 2)']);
+        expect(new Set(events.map(event => event.UID)).size).toBe(2);
+    });
+});
@@ -0,0 +1,21 @@
+// --- Material Inventory ---
+// Stock levels on the material list. A material with a stock level is
+// tracked: the scheduler only plans what that stock can cover, and completing
+// a schedule takes the material it used off the shelf. Stock is counted in
+// sheets; items declare the sheets one part uses in item.materialUsage.
+
+export const isTracked = (material) => material.stock !== undefined && material.stock !== null && material.stock !== '';
+
+// Materials after a completed schedule used `materialUse` ({ materialId: sheets }).
+// Untracked materials are left alone; stock never goes below zero.
+export const consumeStock = (materials, materialUse = {}) => materials.map(material => {
+    if (!isTracked(material) || !materialUse[material.id]) return material;
+    const stock = Math.max(0, (parseFloat(material.stock) || 0) - materialUse[material.id]);
+    return { ...material, stock: String(Math.round(stock * 1000) / 1000) };
+});
+
+export const isBelowReorderPoint = (material) => isTracked(material)
+    && material.reorderPoint !== undefined && material.reorderPoint !== ''
+    && (parseFloat(material.stock) || 0) < parseFloat(material.reorderPoint);
+
+export const belowReorderPoint = (materials) => materials.filter(isBelowReorderPoint);
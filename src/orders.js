@@ -0,0 +1,131 @@
+// --- Order Management ---
+// Pure helpers for the Daily Planner's order list: ids, the price snapshot
+// an order is placed at, merging orders that describe the same work,
+// splitting an order into partial quantities, and telling whether a generated
+// schedule still matches the orders.
+
+import { PRIORITY_LEVELS } from './scheduler';
+
+export const SNAPSHOT_FIELDS = {
+    price: 'Price',
+    cost: 'Cost',
+    buildTime: 'Build time',
+    partsPerRun: 'Parts per run',
+    minutesPerRun: 'Minutes per run',
+};
+
+let orderSequence = 0;
+
+// Unique even for orders created in the same millisecond (splits, imports).
+export const createOrderId = () => {
+    orderSequence += 1;
+    return `order-${Date.now().toString(36)}-${orderSequence}`;
+};
+
+// What an item costs, sells for and takes to build right now, including how
+// many parts a run yields and how long it takes. Orders keep this so later
+// library edits don't change work that is already booked.
+export const snapshotItem = (item, capturedAt = new Date()) => ({
+    price: item.price,
+    cost: item.cost,
+    buildTime: item.buildTime,
+    partsPerRun: item.partsPerRun || '',
+    minutesPerRun: item.minutesPerRun || '',
+    capturedAt: capturedAt.toISOString(),
+});
+
+// The order fields that depend on its item: name, snapshot and unit profit.
+export const pricedFromItem = (item, capturedAt = new Date()) => ({
+    itemId: item.id,
+    itemName: item.name,
+    snapshot: snapshotItem(item, capturedAt),
+    profit: (parseFloat(item.price) - parseFloat(item.cost)).toFixed(2),
+});
+
+// Snapshot values compare as numbers; two blanks are the same value.
+const sameValue = (a, b) => {
+    const [x, y] = [parseFloat(a), parseFloat(b)];
+    return x === y || (Number.isNaN(x) && Number.isNaN(y));
+};
+
+// Snapshot fields where the library item now differs from the order, as
+// [{ field, label, from, to }]. Empty when the order has no snapshot to
+// compare or the item is gone. Snapshots taken before a field was recorded
+// follow the item for that field, so it is never reported as changed.
+export const snapshotDiff = (order, item) => {
+    if (!order.snapshot || !item) return [];
+    return Object.entries(SNAPSHOT_FIELDS)
+        .filter(([field]) => field in order.snapshot && !sameValue(order.snapshot[field], item[field]))
+        .map(([field, label]) => ({ field, label, from: order.snapshot[field], to: item[field] }));
+};
+
+// The order at the item's current price, cost and build time.
+export const repriceOrder = (order, item) => ({ ...order, ...pricedFromItem(item) });
+
+const snapshotKey = (order) => (order.snapshot
+    ? Object.keys(SNAPSHOT_FIELDS).map(field => parseFloat(order.snapshot[field])).join('/')
+    : '');
+
+// Orders with the same key are the same work at the same price and can be one order.
+const mergeKey = (order) => [order.itemId, order.customer || '', order.dueTime || '', order.priority || 'normal', snapshotKey(order)].join('::');
+
+// Adds an order, or adds its quantity to an existing order with the same
+// item, customer, due time, priority and price snapshot.
+export const addOrMergeOrder = (orders, order) => {
+    const match = orders.find(o => mergeKey(o) === mergeKey(order));
+    if (!match) return [...orders, order];
+    return orders.map(o => (o === match ? { ...o, quantity: o.quantity + order.quantity } : o));
+};
+
+// Moves `quantity` units of an order into a new order with the same details,
+// placed right after it. Returns null if the split would leave either part
+// empty.
+export const splitOrder = (orders, orderId, quantity, newId = createOrderId()) => {
+    const order = orders.find(o => o.id === orderId);
+    if (!order || !Number.isInteger(quantity) || quantity <= 0 || quantity >= order.quantity) return null;
+    return orders.flatMap(o => (o.id === orderId
+        ? [{ ...o, quantity: o.quantity - quantity }, { ...o, id: newId, quantity }]
+        : [o]));
+};
+
+// Orders of the same item for the same customer, priced the same, that could
+// be combined with the given one.
+export const mergeCandidates = (orders, orderId) => {
+    const order = orders.find(o => o.id === orderId);
+    if (!order) return [];
+    return orders.filter(o => o.id !== orderId
+        && o.itemId === order.itemId
+        && (o.customer || '') === (order.customer || '')
+        && snapshotKey(o) === snapshotKey(order));
+};
+
+// Combines every merge candidate into the given order. The merged order keeps
+// the earliest due time and the most urgent priority of the orders combined.
+export const mergeOrders = (orders, orderId) => {
+    const order = orders.find(o => o.id === orderId);
+    const candidates = mergeCandidates(orders, orderId);
+    if (!order || candidates.length === 0) return orders;
+    const group = [order, ...candidates];
+    const dueTimes = group.map(o => o.dueTime).filter(Boolean).sort();
+    const priority = group
+        .map(o => o.priority || 'normal')
+        .reduce((best, p) => ((PRIORITY_LEVELS[p]?.weight || 1) > (PRIORITY_LEVELS[best]?.weight || 1) ? p : best), 'normal');
+    const merged = {
+        ...order,
+        quantity: group.reduce((sum, o) => sum + o.quantity, 0),
+        dueTime: dueTimes[0] || '',
+        priority,
+    };
+    const mergedIds = new Set(candidates.map(o => o.id));
+    return orders.filter(o => !mergedIds.has(o.id)).map(o => (o.id === orderId ? merged : o));
+};
+
+// The fields of an order the scheduler reads.
+const scheduledFields = (order) => [order.id, order.quantity, mergeKey(order)].join('::');
+
+// True when the orders were changed after the schedule was generated from them.
+export const isScheduleStale = (schedule, orders) => {
+    if (!schedule || !schedule.orders) return false;
+    if (schedule.orders.length !== orders.length) return true;
+    return schedule.orders.some((order, index) => scheduledFields(order) !== scheduledFields(orders[index]));
+};
@@ -0,0 +1,109 @@
+// --- What-if Scenarios ---
+// A scenario is a named set of overrides on the current data: machines added
+// (as copies of an existing one) or taken away, different work hours or
+// planning days, and changed order quantities. Scenarios never touch the real
+// data; each one is scheduled on a copy so they can be compared side by side.
+
+import { buildSchedule } from './scheduler';
+import { toDateString } from './calendar';
+import { archiveSchedule, machineUtilization } from './analytics';
+
+let scenarioSequence = 0;
+
+export const createScenarioId = () => {
+    scenarioSequence += 1;
+    return `scenario-${Date.now().toString(36)}-${scenarioSequence}`;
+};
+
+// overrides: { workHours, planningDays, addMachines: [{ id, name, copyOf }],
+// removeMachineIds: [id], quantities: { orderId: quantity } }. Blank fields
+// keep the current value.
+export const emptyScenario = (name = '') => ({
+    id: createScenarioId(),
+    name,
+    overrides: { workHours: '', planningDays: '', addMachines: [], removeMachineIds: [], quantities: {} },
+});
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// The items, machines, orders and settings a scenario describes. An added
+// machine is a copy of `copyOf` (speed, bed, calendar, cost) under a new id,
+// and every item allowed on the original is allowed on the copy too. Removed
+// machines disappear from items' allowed machines; an order quantity of 0
+// drops the order.
+export const applyScenario = ({ items, machines, orders, materials = [], settings }, scenario) => {
+    const overrides = scenario.overrides || {};
+    const removed = new Set(overrides.removeMachineIds || []);
+    const added = (overrides.addMachines || []).filter(machine => machines.some(m => m.id === machine.copyOf));
+    const copiesOf = (machineId) => added.filter(machine => machine.copyOf === machineId).map(machine => machine.id);
+
+    const scenarioMachines = [
+        ...machines.filter(machine => !removed.has(machine.id)),
+        ...added.map(machine => ({ ...machines.find(m => m.id === machine.copyOf), id: machine.id, name: machine.name })),
+    ];
+    const scenarioItems = items.map(item => {
+        const allowed = item.allowedMachines || [];
+        return {
+            ...item,
+            allowedMachines: [...allowed, ...allowed.flatMap(copiesOf)].filter(id => !removed.has(id)),
+        };
+    });
+    const quantities = overrides.quantities || {};
+    const scenarioOrders = orders
+        .map(order => (hasValue(quantities[order.id]) ? { ...order, quantity: parseInt(quantities[order.id], 10) || 0 } : order))
+        .filter(order => order.quantity > 0);
+    const scenarioSettings = { ...settings };
+    if (hasValue(overrides.workHours)) scenarioSettings.workHours = parseFloat(overrides.workHours);
+    if (hasValue(overrides.planningDays)) scenarioSettings.planningDays = parseInt(overrides.planningDays, 10);
+
+    return { items: scenarioItems, machines: scenarioMachines, orders: scenarioOrders, materials, settings: scenarioSettings };
+};
+
+// Optimizer budget per planned day of one scenario, in seconds. The search
+// runs on the UI thread once per scenario, so the shop's own budget is capped.
+export const SCENARIO_OPTIMIZER_SECONDS = 0.5;
+
+// The settings a scenario is scheduled with: the shop's own, with the
+// optimizer's time budget capped at SCENARIO_OPTIMIZER_SECONDS.
+export const scenarioScheduleSettings = (settings) => (settings.scheduleMode === 'optimize'
+    ? { ...settings, optimizerSeconds: Math.min(settings.optimizerSeconds || 1, SCENARIO_OPTIMIZER_SECONDS) }
+    : settings);
+
+// Schedules a scenario and reduces it to the figures compared between
+// scenarios. Utilization is busy time over open time across the horizon.
+export const runScenario = (data, scenario, scheduleDate = toDateString(new Date())) => {
+    const input = applyScenario(data, scenario);
+    const schedule = buildSchedule({ ...input, settings: scenarioScheduleSettings(input.settings), scheduleDate });
+    const utilization = machineUtilization([archiveSchedule({ ...schedule, scheduleDate })]);
+    const openMinutes = utilization.reduce((sum, machine) => sum + machine.openMinutes, 0);
+    const busyMinutes = utilization.reduce((sum, machine) => sum + machine.busyMinutes, 0);
+    return {
+        scenarioId: scenario.id,
+        name: scenario.name,
+        scheduledProfit: schedule.totalProfit,
+        overflowProfit: schedule.overflowProfit + (schedule.stockBlockedProfit || 0),
+        overflowTasks: schedule.overflowTasks.length + (schedule.stockBlockedTasks || []).length,
+        lateTasks: schedule.lateTasks.length,
+        daysUsed: schedule.days.length,
+        machines: utilization,
+        utilization: openMinutes > 0 ? busyMinutes / openMinutes : 0,
+    };
+};
+
+// Human-readable list of what a scenario changes, for its card.
+export const describeScenario = (scenario, { machines, orders }) => {
+    const overrides = scenario.overrides || {};
+    const machineName = (id) => machines.find(m => m.id === id)?.name || id;
+    const changes = [];
+    if (hasValue(overrides.workHours)) changes.push(`${overrides.workHours} h days`);
+    if (hasValue(overrides.planningDays)) changes.push(`${overrides.planningDays} day horizon`);
+    (overrides.addMachines || []).forEach(machine => changes.push(`+ ${machine.name} (copy of ${machineName(machine.copyOf)})`));
+    (overrides.removeMachineIds || []).forEach(id => changes.push(`− ${machineName(id)}`));
+    Object.entries(overrides.quantities || {})
+        .filter(([, quantity]) => hasValue(quantity))
+        .forEach(([orderId, quantity]) => {
+            const order = orders.find(o => o.id === orderId);
+            if (order) changes.push(`${order.itemName} × ${quantity} (was ${order.quantity})`);
+        });
+    return changes;
+};
@@ -0,0 +1,14 @@
+import { describe, expect, it } from 'vitest';
+import { scenarioScheduleSettings, SCENARIO_OPTIMIZER_SECONDS } from './scenarios';
+
+describe('scheduler used for scenarios', () => {
+    it("keeps the Daily Planner's mode", () => {
+        expect(scenarioScheduleSettings({ scheduleMode: 'greedy', workHours: 8 })).toEqual({ scheduleMode: 'greedy', workHours: 8 });
+        expect(scenarioScheduleSettings({ scheduleMode: 'optimize' }).scheduleMode).toBe('optimize');
+    });
+
+    it("caps the optimizer's time budget", () => {
+        expect(scenarioScheduleSettings({ scheduleMode: 'optimize', optimizerSeconds: 10 }).optimizerSeconds).toBe(SCENARIO_OPTIMIZER_SECONDS);
+        expect(scenarioScheduleSettings({ scheduleMode: 'optimize', optimizerSeconds: 0.2 }).optimizerSeconds).toBe(0.2);
+    });
+});
@@ -0,0 +1,998 @@
+// --- Scheduling Engine ---
+// Pure functions only: no React, no storage. Given the shop data it returns
+// the per-machine timelines, totals and the tasks that did not fit the day.
+
+import { addDays, availableWindows, blockedPeriods, placeInWindows, shiftWindow, timeToMinutes, windowMinutes } from './calendar';
+import { isTracked } from './inventory';
+
+const EPSILON = 1e-9;
+
+export const PRIORITY_LEVELS = {
+    low: { label: 'Low', weight: 0.5 },
+    normal: { label: 'Normal', weight: 1 },
+    high: { label: 'High', weight: 2 },
+    rush: { label: 'Rush', weight: 4 },
+};
+
+export const PRIORITY_RULES = {
+    profit: 'Profit per minute',
+    deadline: 'Deadline first',
+    weighted: 'Weighted profit + lateness',
+};
+
+const priorityWeight = (task) => (PRIORITY_LEVELS[task.priority] || PRIORITY_LEVELS.normal).weight;
+
+// Orders store their due time as "HH:MM"; tasks carry it as minutes from the
+// start of the workday so it compares directly with startTime/endTime.
+export const dueTimeToMinutes = (dueTime, workdayStartHour = 9) => {
+    const minutes = timeToMinutes(dueTime);
+    return minutes === null ? null : minutes - (workdayStartHour * 60);
+};
+
+const byDue = (a, b) => (a.dueMinutes ?? Infinity) - (b.dueMinutes ?? Infinity);
+const byProfitPerMinute = (a, b) => b.profitPerMinute - a.profitPerMinute;
+const byWeightedProfit = (a, b) => (b.profitPerMinute * priorityWeight(b)) - (a.profitPerMinute * priorityWeight(a));
+const byPriority = (a, b) => priorityWeight(b) - priorityWeight(a);
+const chain = (...comparators) => (a, b) => {
+    for (const compare of comparators) {
+        const result = compare(a, b);
+        if (result !== 0) return result;
+    }
+    return 0;
+};
+
+// Order in which tasks are offered to the machines.
+const selectionOrder = {
+    profit: byProfitPerMinute,
+    deadline: chain(byPriority, byDue, byProfitPerMinute),
+    weighted: chain(byWeightedProfit, byDue),
+};
+
+// Order in which the tasks picked for a machine are run. The weighted rule
+// picks tasks for their weighted profit and then runs them earliest-due first,
+// which minimizes lateness without changing what fits in the day.
+const sequenceOrder = {
+    profit: byProfitPerMinute,
+    deadline: chain(byPriority, byDue, byProfitPerMinute),
+    weighted: chain(byDue, byWeightedProfit),
+};
+
+// Items that share a material and thickness share a machine setup (material
+// settings, focus height). Items with a setup time but no material need their
+// own setup; items with neither never cause a changeover.
+export const setupKeyOf = (item) => {
+    const material = (item.material || '').trim().toLowerCase();
+    if (material) return `${material}|${item.thickness || ''}`;
+    return parseFloat(item.setupTime) > 0 ? `item:${item.id}` : null;
+};
+
+export const describeSetup = (setupKey, items = []) => {
+    if (!setupKey) return 'None';
+    const item = items.find(i => setupKeyOf(i) === setupKey);
+    if (!item) return setupKey;
+    if (!item.material) return item.name;
+    return item.thickness ? `${item.material} ${item.thickness}mm` : item.material;
+};
+
+export const LASER_TYPES = ['CO2', 'Fiber', 'Diode', 'UV'];
+
+// A speed factor of 1.25 runs jobs in 80% of the item's listed build time.
+export const machineSpeed = (machine) => {
+    const speed = parseFloat(machine.speedFactor);
+    return speed > 0 ? speed : 1;
+};
+
+export const machineHourlyCost = (machine) => parseFloat(machine.hourlyCost) || 0;
+
+// Parts may be rotated on the bed. Missing dimensions on either side are
+// treated as "fits" so partially described machines and items still schedule.
+export const fitsOnBed = (part, machine) => {
+    const width = parseFloat(part.partWidth);
+    const height = parseFloat(part.partHeight);
+    const bedWidth = parseFloat(machine.bedWidth);
+    const bedHeight = parseFloat(machine.bedHeight);
+    if (!(width > 0 && height > 0) || !(bedWidth > 0 && bedHeight > 0)) return true;
+    return (width <= bedWidth && height <= bedHeight) || (width <= bedHeight && height <= bedWidth);
+};
+
+const ruleOf = (settings) => (PRIORITY_RULES[settings.priorityRule] ? settings.priorityRule : 'profit');
+
+// Items with more than one part per run are cut a bed at a time (a sheet
+// that yields 12 coasters). minutesPerRun is the time for a full bed; without
+// it a run takes the part build time for every part on the bed.
+export const partsPerRunOf = (item) => Math.max(1, parseInt(item.partsPerRun, 10) || 1);
+
+export const runMinutesOf = (item, buildTime = parseFloat(item.buildTime)) => {
+    const minutesPerRun = parseFloat(item.minutesPerRun);
+    return minutesPerRun > 0 ? minutesPerRun : buildTime * partsPerRunOf(item);
+};
+
+// Material usage is per part; a task's usage covers all its parts.
+const scaleUsage = (materialUsage = [], parts) => materialUsage
+    .map(use => ({ ...use, perPart: (parseFloat(use.perPart) || 0) * parts }));
+
+// Turns every order into tasks: one per unit, or one per run for items cut
+// several to a bed, with a partial last run timed in proportion to its parts.
+// Items that are missing or have no usable build time are skipped.
+export const expandOrdersToTasks = (orders, items, settings = {}) => {
+    const tasks = orders.flatMap(order => {
+        const itemDetails = items.find(i => i.id === order.itemId);
+        if (!itemDetails) return [];
+        // Price, cost, build time and run size are the ones captured when the
+        // order was placed. Snapshots older than the run fields use the item's
+        // run fields.
+        const pricing = order.snapshot || itemDetails;
+        const runSpec = pricing.partsPerRun !== undefined ? pricing : itemDetails;
+        const buildTime = parseFloat(pricing.buildTime);
+        if (!buildTime || buildTime <= 0) return [];
+        const quantity = parseInt(order.quantity, 10);
+        if (!quantity || quantity <= 0) return [];
+
+        const unitProfit = (parseFloat(pricing.price) || 0) - (parseFloat(pricing.cost) || 0);
+        const task = {
+            orderId: order.id,
+            itemId: order.itemId,
+            name: order.itemName || itemDetails.name,
+            customer: order.customer || '',
+            priority: order.priority || 'normal',
+            dueMinutes: dueTimeToMinutes(order.dueTime, settings.workdayStartHour),
+            allowedMachines: itemDetails.allowedMachines || [],
+            setupKey: setupKeyOf(itemDetails),
+            setupTime: parseFloat(itemDetails.setupTime) || 0,
+            partWidth: itemDetails.partWidth,
+            partHeight: itemDetails.partHeight,
+        };
+
+        const partsPerRun = partsPerRunOf(runSpec);
+        if (partsPerRun === 1) {
+            return Array(quantity).fill(null).map((_, i) => ({
+                ...task,
+                id: `${order.id}-${i}`,
+                quantity: 1,
+                buildTime,
+                profit: unitProfit,
+                profitPerMinute: unitProfit / buildTime,
+                materialUsage: itemDetails.materialUsage || [],
+            }));
+        }
+
+        const runMinutes = runMinutesOf(runSpec, buildTime);
+        const runCount = Math.ceil(quantity / partsPerRun);
+        return Array(runCount).fill(null).map((_, i) => {
+            const parts = i < runCount - 1 ? partsPerRun : quantity - partsPerRun * (runCount - 1);
+            const minutes = runMinutes * (parts / partsPerRun);
+            return {
+                ...task,
+                id: `${order.id}-run${i + 1}`,
+                quantity: parts,
+                run: { index: i + 1, count: runCount },
+                bedShare: parts / partsPerRun,
+                buildTime: minutes,
+                profit: unitProfit * parts,
+                profitPerMinute: (unitProfit * parts) / minutes,
+                materialUsage: scaleUsage(itemDetails.materialUsage, parts),
+            };
+        });
+    });
+    return settings.mixedRuns === false ? tasks : combinePartialRuns(tasks);
+};
+
+const sumUsage = (tasks) => Object.values(tasks.flatMap(task => task.materialUsage || []).reduce((acc, use) => {
+    const current = acc[use.materialId] || { materialId: use.materialId, perPart: 0 };
+    acc[use.materialId] = { ...current, perPart: current.perPart + (parseFloat(use.perPart) || 0) };
+    return acc;
+}, {}));
+
+const sharedMachines = (tasks) => tasks
+    .map(task => task.allowedMachines)
+    .reduce((shared, allowed) => shared.filter(id => allowed.includes(id)));
+
+// One run for partial runs that fit one bed together.
+const mixedRun = (runs) => {
+    const buildTime = runs.reduce((sum, task) => sum + task.buildTime, 0);
+    const profit = sumProfit(runs);
+    const dueTimes = runs.map(task => task.dueMinutes).filter(due => due !== null);
+    const largest = (field) => Math.max(...runs.map(task => parseFloat(task[field]) || 0)) || undefined;
+    return {
+        id: `${runs[0].id}-mixed`,
+        orderId: runs[0].orderId,
+        itemId: null,
+        name: runs.map(task => task.name).join(' + '),
+        customer: [...new Set(runs.map(task => task.customer).filter(Boolean))].join(', '),
+        priority: runs.map(task => task.priority).reduce((best, p) => (PRIORITY_LEVELS[p]?.weight > PRIORITY_LEVELS[best]?.weight ? p : best)),
+        dueMinutes: dueTimes.length > 0 ? Math.min(...dueTimes) : null,
+        allowedMachines: sharedMachines(runs),
+        setupKey: runs[0].setupKey,
+        setupTime: Math.max(...runs.map(task => task.setupTime)),
+        partWidth: largest('partWidth'),
+        partHeight: largest('partHeight'),
+        quantity: runs.reduce((sum, task) => sum + task.quantity, 0),
+        bedShare: runs.reduce((sum, task) => sum + task.bedShare, 0),
+        buildTime,
+        profit,
+        profitPerMinute: profit / buildTime,
+        materialUsage: sumUsage(runs),
+        parts: runs.map(task => ({
+            orderId: task.orderId,
+            itemId: task.itemId,
+            name: task.name,
+            customer: task.customer,
+            quantity: task.quantity,
+            buildTime: task.buildTime,
+            profit: task.profit,
+            bedShare: task.bedShare,
+            materialUsage: task.materialUsage,
+        })),
+    };
+};
+
+// Partial runs that share a setup (same material and thickness) and a
+// machine they can all run on are packed onto shared beds, fullest first.
+// A bed is full when the parts' shares of their own full runs add up to one.
+const combinePartialRuns = (tasks) => {
+    const partial = tasks.filter(task => task.bedShare < 1 && task.setupKey);
+    if (partial.length < 2) return tasks;
+    const beds = [];
+    [...partial].sort((a, b) => b.bedShare - a.bedShare).forEach(task => {
+        const bed = beds.find(runs => runs[0].setupKey === task.setupKey
+            && runs.reduce((sum, run) => sum + run.bedShare, 0) + task.bedShare <= 1 + EPSILON
+            && sharedMachines([...runs, task]).length > 0);
+        if (bed) bed.push(task);
+        else beds.push([task]);
+    });
+    const mixed = beds.filter(runs => runs.length > 1);
+    const combined = new Set(mixed.flat());
+    return [...tasks.filter(task => !combined.has(task)), ...mixed.map(mixedRun)];
+};
+
+// The parts a task produces: its own, or each order's share of a mixed run.
+export const taskParts = (task) => task.parts || [{
+    orderId: task.orderId,
+    itemId: task.itemId,
+    name: task.name,
+    customer: task.customer,
+    quantity: task.quantity || 1,
+    buildTime: task.buildTime,
+    profit: task.grossProfit ?? task.profit,
+    materialUsage: task.materialUsage || [],
+    scrapped: task.scrapped,
+}];
+
+// Pieces of a task part that were scrapped: none unless the task failed, and
+// all of them when the failure didn't say how many.
+export const scrapCountOf = (task, part) => (task.status === 'failed' ? (part.scrapped ?? part.quantity) : 0);
+
+// "Run 3 of 5 — 12 pcs" for runs, the mix for a shared bed, null for single parts.
+export const describeRun = (task) => {
+    if (task.parts) return `Mixed run — ${task.parts.map(part => `${part.quantity}× ${part.name}`).join(', ')}`;
+    if (task.run) return `Run ${task.run.index} of ${task.run.count} — ${task.quantity} pcs`;
+    return null;
+};
+
+// Each machine's timeline for one day starts with the windows its calendar
+// leaves open and the setup it was left in; the blocked periods are kept so
+// the UI can draw them.
+const createTimelines = (machines, settings, day) => machines.reduce((acc, machine) => {
+    const windows = availableWindows(machine, settings, day.date);
+    const startSetup = day.startSetups && machine.id in day.startSetups
+        ? day.startSetups[machine.id]
+        : (machine.currentSetup || null);
+    acc[machine.id] = {
+        name: machine.name,
+        tasks: [],
+        currentTime: windows.length > 0 ? windows[0].start : 0,
+        startSetup,
+        lastSetup: startSetup,
+        windows,
+        blocks: blockedPeriods(machine, settings, day.date),
+        shift: shiftWindow(machine, settings),
+        speedFactor: machineSpeed(machine),
+        hourlyCost: machineHourlyCost(machine),
+        bedWidth: machine.bedWidth,
+        bedHeight: machine.bedHeight,
+    };
+    return acc;
+}, {});
+
+const sumProfit = (tasks) => tasks.reduce((sum, task) => sum + task.profit, 0);
+
+const MINUTES_PER_DAY = 24 * 60;
+const FIRST_DAY = { index: 0, date: null };
+
+const splitAllowed = (settings) => Boolean(settings.splitTasksAcrossBreaks);
+
+const changeoverFor = (task, currentSetup) => (task.setupKey && task.setupKey !== currentSetup ? task.setupTime : 0);
+
+// Machine time (changeover plus run time at the machine's speed) is charged
+// at the machine's hourly operating cost.
+const costOnMachine = (task, timeline, changeover) => {
+    const runTime = task.buildTime / timeline.speedFactor;
+    const operatingCost = ((changeover + runTime) / 60) * timeline.hourlyCost;
+    return { runTime, operatingCost };
+};
+
+// Keeps tasks that share a setup next to each other so the machine changes
+// over once per batch. Batches run in the order their first task appears,
+// except that the setup already on the machine goes first.
+const batchBySetup = (tasks, startSetup) => {
+    const batches = new Map();
+    tasks.forEach(task => {
+        const key = task.setupKey || '';
+        if (!batches.has(key)) batches.set(key, []);
+        batches.get(key).push(task);
+    });
+    const keys = [...batches.keys()];
+    if (startSetup && batches.has(startSetup)) {
+        keys.splice(keys.indexOf(startSetup), 1);
+        keys.unshift(startSetup);
+    }
+    return keys.flatMap(key => batches.get(key));
+};
+
+// Places each machine's tasks in sequencing order (batched by setup unless
+// settings.batchSetups is off, or exactly as given with keepOrder) inside its
+// open windows, adding changeover time whenever the setup changes. Records how
+// late every task finishes against its order's due time; due times belong to
+// the first planning day, so later days count their whole offset as lateness.
+// Returns the tasks that no longer fit once re-ordered.
+const layoutTimelines = (machineTimelines, rule, settings, day, { keepOrder = false } = {}) => {
+    const dayOffset = day.index * MINUTES_PER_DAY;
+    const unfit = [];
+    Object.values(machineTimelines).forEach(timeline => {
+        let currentTime = timeline.windows.length > 0 ? timeline.windows[0].start : 0;
+        let currentSetup = timeline.startSetup;
+        const placed = [];
+        let sequence = [...timeline.tasks];
+        if (!keepOrder) {
+            sequence.sort(sequenceOrder[rule]);
+            if (settings.batchSetups !== false) sequence = batchBySetup(sequence, currentSetup);
+        }
+        sequence.forEach(task => {
+            const changeover = changeoverFor(task, currentSetup);
+            const { runTime, operatingCost } = costOnMachine(task, timeline, changeover);
+            const placement = placeInWindows(timeline.windows, currentTime, changeover + runTime, splitAllowed(settings));
+            if (!placement) {
+                unfit.push(task);
+                return;
+            }
+            currentTime = placement.endTime;
+            if (task.setupKey) currentSetup = task.setupKey;
+            const finishedAt = dayOffset + placement.endTime;
+            const lateBy = task.dueMinutes !== null && finishedAt > task.dueMinutes ? finishedAt - task.dueMinutes : 0;
+            // profit on a placed task is net of operating cost; grossProfit keeps the item margin
+            const grossProfit = task.grossProfit ?? task.profit;
+            placed.push({
+                ...task,
+                ...placement,
+                changeover,
+                runTime,
+                grossProfit,
+                operatingCost,
+                profit: grossProfit - operatingCost,
+                day: day.index + 1,
+                date: day.date,
+                lateBy,
+            });
+        });
+        timeline.tasks = placed;
+        timeline.currentTime = currentTime;
+        timeline.lastSetup = currentSetup;
+        timeline.changeoverMinutes = placed.reduce((sum, task) => sum + task.changeover, 0);
+        timeline.operatingCost = placed.reduce((sum, task) => sum + task.operatingCost, 0);
+    });
+    return unfit;
+};
+
+const collectLateTasks = (machineTimelines) => Object.values(machineTimelines)
+    .flatMap(timeline => timeline.tasks)
+    .filter(task => task.lateBy > 0);
+
+const totalChangeover = (machineTimelines) => Object.values(machineTimelines)
+    .reduce((sum, timeline) => sum + timeline.changeoverMinutes, 0);
+
+const scheduledProfit = (machineTimelines) => Object.values(machineTimelines)
+    .reduce((sum, timeline) => sum + sumProfit(timeline.tasks), 0);
+
+// Greedy pass over already expanded tasks: in selection order, each task goes
+// to the allowed machine where it earns the most after operating cost, and on
+// a tie to the one that would finish it earliest.
+const scheduleTasksGreedy = (tasks, machines, settings, day = FIRST_DAY) => {
+    const rule = ruleOf(settings);
+    const allTasks = [...tasks].sort(selectionOrder[rule]);
+
+    const machineTimelines = createTimelines(machines, settings, day);
+    const totalWorkMinutes = (settings.workHours || 8) * 60;
+    const overflowTasks = [];
+
+    for (const task of allTasks) {
+        let bestMachine = null;
+        let bestNetProfit = -Infinity;
+        let earliestFinishTime = Infinity;
+
+        for (const machineId of task.allowedMachines) {
+            const timeline = machineTimelines[machineId];
+            if (timeline && fitsOnBed(task, timeline)) {
+                const changeover = changeoverFor(task, timeline.lastSetup);
+                const { runTime, operatingCost } = costOnMachine(task, timeline, changeover);
+                const placement = placeInWindows(timeline.windows, timeline.currentTime, changeover + runTime, splitAllowed(settings));
+                if (!placement) continue;
+                const netProfit = task.profit - operatingCost;
+                const better = netProfit > bestNetProfit + EPSILON
+                    || (Math.abs(netProfit - bestNetProfit) <= EPSILON && placement.endTime < earliestFinishTime);
+                if (better) {
+                    bestNetProfit = netProfit;
+                    earliestFinishTime = placement.endTime;
+                    bestMachine = machineId;
+                }
+            }
+        }
+
+        if (bestMachine) {
+            machineTimelines[bestMachine].tasks.push(task);
+            machineTimelines[bestMachine].currentTime = earliestFinishTime;
+            if (task.setupKey) machineTimelines[bestMachine].lastSetup = task.setupKey;
+        } else {
+            overflowTasks.push(task);
+        }
+    }
+
+    overflowTasks.push(...layoutTimelines(machineTimelines, rule, settings, day));
+    const totalProfit = scheduledProfit(machineTimelines);
+
+    return {
+        mode: 'greedy',
+        priorityRule: rule,
+        machineTimelines,
+        lateTasks: collectLateTasks(machineTimelines),
+        changeoverMinutes: totalChangeover(machineTimelines),
+        totalProfit,
+        greedyProfit: totalProfit,
+        overflowTasks,
+        overflowProfit: sumProfit(overflowTasks),
+        totalWorkMinutes,
+    };
+};
+
+// Tasks the optimizer may swap without changing the result: same item, build
+// time and profit, so the same allowed machines and the same net profit on
+// each. Orders of one item placed at different prices, and partial runs, are
+// not interchangeable; a mixed run never is.
+const interchangeKey = (task) => (task.itemId ? `${task.itemId}|${task.buildTime}|${task.profit}` : null);
+const interchangeable = (a, b) => {
+    const key = interchangeKey(a);
+    return key !== null && key === interchangeKey(b);
+};
+
+// Profit-maximizing pass over already expanded tasks. Runs a depth-first
+// branch-and-bound over the task-to-machine assignment, seeded with the greedy
+// result and pruned with a fractional-knapsack bound over each machine's open
+// minutes. Capacity is counted in listed build-time minutes (open minutes
+// times the machine's speed factor) and each assignment earns the task's
+// profit net of that machine's operating cost. When the budget runs out the
+// best assignment found so far is used; if that is no better than greedy once
+// laid out in the machine calendars, greedy is returned.
+// The search maximizes profit only: due dates and the priority rule don't
+// decide which tasks get a machine, only their running order afterwards, so
+// a late high-priority task can lose its slot to a more profitable one.
+const scheduleTasksOptimized = (inputTasks, machines, settings, { timeLimitMs = 1000, maxIterations = 200000 } = {}, day = FIRST_DAY) => {
+    const greedy = scheduleTasksGreedy(inputTasks, machines, settings, day);
+    const totalWorkMinutes = greedy.totalWorkMinutes;
+    const rule = ruleOf(settings);
+    const machineTimelines = createTimelines(machines, settings, day);
+
+    const machineIds = machines.map(m => m.id);
+    const allTasks = [...inputTasks].sort(byProfitPerMinute);
+    // Unprofitable tasks can only lower the total, so they never enter the search
+    const tasks = allTasks.filter(task => task.profit > 0);
+    const timelineList = machineIds.map(id => machineTimelines[id]);
+    const allowed = tasks.map(task => machineIds
+        .map((id, index) => (task.allowedMachines.includes(id) && fitsOnBed(task, timelineList[index]) ? index : -1))
+        .filter(index => index >= 0));
+    // Changeovers are left to the layout step, so the search only sees run-time cost
+    const netProfitOn = (task, m) => task.profit - costOnMachine(task, timelineList[m], 0).operatingCost;
+
+    // Prefix sums let the fractional bound be found with a binary search
+    const prefixTime = [0];
+    const prefixProfit = [0];
+    tasks.forEach((task, i) => {
+        prefixTime.push(prefixTime[i] + task.buildTime);
+        prefixProfit.push(prefixProfit[i] + task.profit);
+    });
+    const capacity = timelineList.map(timeline => windowMinutes(timeline.windows) * timeline.speedFactor);
+    const openMinutes = capacity.slice();
+    let freeCapacity = capacity.reduce((sum, c) => sum + c, 0);
+
+    const upperBound = (from) => {
+        let lo = from, hi = tasks.length;
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if (prefixTime[mid] - prefixTime[from] <= freeCapacity + EPSILON) lo = mid; else hi = mid - 1;
+        }
+        let bound = prefixProfit[lo] - prefixProfit[from];
+        if (lo < tasks.length) {
+            const leftover = freeCapacity - (prefixTime[lo] - prefixTime[from]);
+            bound += Math.max(0, leftover) * tasks[lo].profitPerMinute;
+        }
+        return bound;
+    };
+
+    // Seed the incumbent with the profitable part of the greedy schedule
+    const greedyMachineOf = {};
+    Object.entries(greedy.machineTimelines).forEach(([machineId, timeline]) => {
+        timeline.tasks.forEach(task => { greedyMachineOf[task.id] = machineIds.indexOf(machineId); });
+    });
+    let bestAssignment = tasks.map(task => (task.id in greedyMachineOf ? greedyMachineOf[task.id] : -1));
+    let bestProfit = tasks.reduce((sum, task, i) => sum + (bestAssignment[i] >= 0 ? netProfitOn(task, bestAssignment[i]) : 0), 0);
+    const seedProfit = bestProfit;
+
+    const assignment = tasks.map(() => -1);
+    const deadline = Date.now() + timeLimitMs;
+    let iterations = 0;
+    let exhausted = false;
+
+    const search = (i, profit) => {
+        iterations++;
+        if (iterations >= maxIterations || (iterations % 1024 === 0 && Date.now() > deadline)) {
+            exhausted = true;
+            return;
+        }
+        if (profit > bestProfit + EPSILON) {
+            bestProfit = profit;
+            bestAssignment = assignment.slice();
+        }
+        if (i === tasks.length || profit + upperBound(i) <= bestProfit + EPSILON) return;
+
+        const task = tasks[i];
+        // Interchangeable tasks (see interchangeKey): keep their machine
+        // indices non-decreasing and only ever leave the tail unscheduled.
+        const previous = i > 0 && interchangeable(tasks[i - 1], task) ? assignment[i - 1] : null;
+        if (previous !== -1) {
+            for (const m of allowed[i]) {
+                if (previous !== null && m < previous) continue;
+                if (capacity[m] + EPSILON < task.buildTime) continue;
+                capacity[m] -= task.buildTime;
+                freeCapacity -= task.buildTime;
+                assignment[i] = m;
+                search(i + 1, profit + netProfitOn(task, m));
+                assignment[i] = -1;
+                capacity[m] += task.buildTime;
+                freeCapacity += task.buildTime;
+                if (exhausted) return;
+            }
+        }
+        search(i + 1, profit);
+    };
+    search(0, 0);
+
+    const optimizer = { iterations, complete: !exhausted, seedProfit, timeLimitMs, maxIterations };
+    const fallback = () => ({ ...greedy, mode: 'optimize', optimizer: { ...optimizer, fallback: true } });
+    if (bestProfit <= seedProfit + EPSILON) return fallback();
+
+    const usedMinutes = machineIds.map(() => 0);
+    const overflowTasks = [];
+    tasks.forEach((task, i) => {
+        const m = bestAssignment[i];
+        if (m < 0) {
+            overflowTasks.push(task);
+            return;
+        }
+        machineTimelines[machineIds[m]].tasks.push(task);
+        usedMinutes[m] += task.buildTime;
+    });
+    // Tasks kept out of the search still go wherever they fit, as greedy would
+    allTasks.filter(task => task.profit <= 0).forEach(task => {
+        const m = machineIds.findIndex((id, index) => task.allowedMachines.includes(id)
+            && fitsOnBed(task, timelineList[index])
+            && usedMinutes[index] + task.buildTime <= openMinutes[index]);
+        if (m < 0 || task.profit < 0) {
+            overflowTasks.push(task);
+            return;
+        }
+        machineTimelines[machineIds[m]].tasks.push(task);
+        usedMinutes[m] += task.buildTime;
+    });
+    // The search only decides which machine runs what; the priority rule
+    // still decides the running order on each machine. Breaks can leave gaps
+    // the minute count did not see, so anything that no longer fits overflows.
+    overflowTasks.push(...layoutTimelines(machineTimelines, rule, settings, day));
+    const totalProfit = scheduledProfit(machineTimelines);
+    if (totalProfit <= greedy.totalProfit + EPSILON) return fallback();
+
+    return {
+        mode: 'optimize',
+        priorityRule: rule,
+        machineTimelines,
+        lateTasks: collectLateTasks(machineTimelines),
+        changeoverMinutes: totalChangeover(machineTimelines),
+        totalProfit,
+        greedyProfit: greedy.totalProfit,
+        overflowTasks,
+        overflowProfit: sumProfit(overflowTasks),
+        totalWorkMinutes,
+        optimizer: { ...optimizer, fallback: false },
+    };
+};
+
+// Greedy scheduler: highest profit per minute first (or the order set by
+// settings.priorityRule), each task goes to the allowed machine where it earns
+// the most after operating cost, the earliest finish breaking ties.
+export const generateSchedule = ({ items = [], machines = [], orders = [], settings = {} }) => {
+    return scheduleTasksGreedy(expandOrdersToTasks(orders, items, settings), machines, settings);
+};
+
+// Optimal scheduler for a single day, see scheduleTasksOptimized.
+export const optimizeSchedule = ({ items = [], machines = [], orders = [], settings = {} }, budget) => {
+    return scheduleTasksOptimized(expandOrdersToTasks(orders, items, settings), machines, settings, budget);
+};
+
+// Plans settings.planningDays consecutive workdays starting on scheduleDate
+// ("YYYY-MM-DD", used for one-off machine downtime): day 1 is filled first and
+// whatever overflows rolls into the next day. Top-level totals cover the whole
+// horizon; overflowTasks are the tasks still unscheduled after the last day.
+export const planDays = (input, scheduleDay) => {
+    const { items = [], machines = [], orders = [], materials = [], settings = {}, scheduleDate = null } = input;
+    const dayCount = Math.max(1, parseInt(settings.planningDays, 10) || 1);
+
+    const days = [];
+    const { covered, blocked } = allocateStock(expandOrdersToTasks(orders, items, settings), materials, ruleOf(settings));
+    let remaining = covered;
+    let startSetups = null;
+    for (let dayIndex = 0; dayIndex < dayCount; dayIndex++) {
+        const date = scheduleDate ? addDays(scheduleDate, dayIndex) : null;
+        const result = scheduleDay(remaining, machines, settings, { index: dayIndex, date, startSetups });
+        days.push({ ...result, day: dayIndex + 1, date });
+        remaining = result.overflowTasks;
+        // Each machine starts the next day in the setup it finished in
+        startSetups = Object.fromEntries(Object.entries(result.machineTimelines).map(([machineId, timeline]) => [machineId, timeline.lastSetup]));
+        if (remaining.length === 0) break;
+    }
+
+    return {
+        ...summarizeHorizon(days, remaining, blocked),
+        scheduleDate,
+        planningDays: dayCount,
+    };
+};
+
+// Materials with a stock level are limited to it; materials without one are
+// not tracked and never block a task.
+const trackedStock = (materials) => Object.fromEntries(materials
+    .filter(isTracked)
+    .map(material => [material.id, parseFloat(material.stock) || 0]));
+
+// Reserves stock for tasks in selection order, so the most valuable work
+// under the priority rule gets the material first. Tasks whose material can't
+// be covered are set aside with the first material they are short of.
+const allocateStock = (tasks, materials, rule) => {
+    const stock = trackedStock(materials);
+    if (Object.keys(stock).length === 0) return { covered: tasks, blocked: [] };
+    const covered = [];
+    const blocked = [];
+    [...tasks].sort(selectionOrder[rule]).forEach(task => {
+        const usage = task.materialUsage.filter(use => use.materialId in stock);
+        const short = usage.find(use => stock[use.materialId] + EPSILON < (parseFloat(use.perPart) || 0));
+        if (short) {
+            blocked.push({ ...task, blockedBy: short.materialId });
+            return;
+        }
+        usage.forEach(use => { stock[use.materialId] -= parseFloat(use.perPart) || 0; });
+        covered.push(task);
+    });
+    return { covered, blocked };
+};
+
+// Material each scheduled task consumes, summed per material id.
+const materialUseOf = (days) => {
+    const use = {};
+    days.forEach(day => Object.values(day.machineTimelines).flatMap(timeline => timeline.tasks).forEach(task => {
+        (task.materialUsage || []).forEach(({ materialId, perPart }) => {
+            use[materialId] = (use[materialId] || 0) + (parseFloat(perPart) || 0);
+        });
+    }));
+    return use;
+};
+
+// Horizon-wide totals for a list of planned days and the tasks left over
+// after the last one. Day 1's fields are also kept at the top level.
+const summarizeHorizon = (days, remaining, stockBlocked = []) => {
+    // An order completes when its last unit finishes; it has no completion
+    // if any unit is still left over at the end of the horizon.
+    const orderCompletion = {};
+    days.forEach(day => {
+        Object.values(day.machineTimelines).flatMap(timeline => timeline.tasks).forEach(task => {
+            taskParts(task).forEach(({ orderId }) => {
+                const current = orderCompletion[orderId];
+                if (!current || task.day > current.day || (task.day === current.day && task.endTime > current.endTime)) {
+                    orderCompletion[orderId] = { day: task.day, endTime: task.endTime };
+                }
+            });
+        });
+    });
+    [...remaining, ...stockBlocked].flatMap(taskParts).forEach(({ orderId }) => { orderCompletion[orderId] = null; });
+
+    return {
+        ...days[0],
+        days,
+        orderCompletion,
+        totalProfit: days.reduce((sum, day) => sum + day.totalProfit, 0),
+        greedyProfit: days.reduce((sum, day) => sum + day.greedyProfit, 0),
+        lateTasks: days.flatMap(day => day.lateTasks),
+        changeoverMinutes: days.reduce((sum, day) => sum + day.changeoverMinutes, 0),
+        overflowTasks: remaining,
+        overflowProfit: sumProfit(remaining),
+        stockBlockedTasks: stockBlocked,
+        stockBlockedProfit: sumProfit(stockBlocked),
+        materialUse: materialUseOf(days),
+    };
+};
+
+const PLACEMENT_FIELDS = ['startTime', 'endTime', 'segments', 'changeover', 'runTime', 'grossProfit', 'operatingCost', 'lateBy', 'day', 'date'];
+const EXECUTION_FIELDS = ['status', 'actualStart', 'actualEnd', 'startedAt', 'finishedAt', 'plannedStart', 'plannedEnd'];
+
+// A placed task back in its unscheduled form, as found in overflowTasks.
+const toUnscheduledTask = (task) => ({
+    ...Object.fromEntries(Object.entries(task).filter(([key]) => !PLACEMENT_FIELDS.includes(key) && !EXECUTION_FIELDS.includes(key))),
+    profit: task.grossProfit ?? task.profit,
+});
+
+const summarizeDay = (day) => ({
+    ...day,
+    lateTasks: collectLateTasks(day.machineTimelines),
+    changeoverMinutes: totalChangeover(day.machineTimelines),
+    totalProfit: scheduledProfit(day.machineTimelines),
+});
+
+// Manual edit from the Schedule View: moves one task within or between the
+// machines of a planned day, from the overflow list onto a machine
+// (fromMachineId null) or back to the overflow list (toMachineId null). The
+// machines involved are re-laid out in exactly the resulting order. Returns
+// { schedule } with the updated schedule, or { error } explaining why the
+// move is not possible.
+export const applyManualMove = (schedule, { dayNumber = 1, taskId, fromMachineId = null, toMachineId = null, toIndex = null }, settings = {}) => {
+    const days = schedule.days || [{ ...schedule, day: 1 }];
+    const dayPosition = days.findIndex(d => d.day === dayNumber);
+    if (dayPosition < 0) return { error: `Day ${dayNumber} is not part of this schedule.` };
+    const day = days[dayPosition];
+
+    const machineTimelines = Object.fromEntries(Object.entries(day.machineTimelines)
+        .map(([machineId, timeline]) => [machineId, { ...timeline, tasks: [...timeline.tasks] }]));
+    const overflowTasks = [...(schedule.overflowTasks || [])];
+
+    const source = fromMachineId ? machineTimelines[fromMachineId]?.tasks : overflowTasks;
+    const fromIndex = source ? source.findIndex(t => t.id === taskId) : -1;
+    if (fromIndex < 0) return { error: 'That task is no longer in the schedule.' };
+    const [task] = source.splice(fromIndex, 1);
+    if (task.status) return { error: `${task.name} has already been started on the shop floor and can't be moved.` };
+
+    if (toMachineId === null) {
+        overflowTasks.push(toUnscheduledTask(task));
+    } else {
+        const target = machineTimelines[toMachineId];
+        if (!target) return { error: 'That machine is not part of this schedule.' };
+        if (!task.allowedMachines.includes(toMachineId)) {
+            return { error: `${task.name} can't run on ${target.name}: it isn't one of the item's allowed machines.` };
+        }
+        if (!fitsOnBed(task, target)) {
+            return { error: `${task.name} is too large for the bed of ${target.name}.` };
+        }
+        let index = toIndex === null ? target.tasks.length : toIndex;
+        // Removing the task from earlier in the same list shifts the drop position
+        if (fromMachineId === toMachineId && fromIndex < index) index -= 1;
+        target.tasks.splice(Math.min(index, target.tasks.length), 0, task);
+    }
+
+    const affected = Object.fromEntries([fromMachineId, toMachineId]
+        .filter(Boolean)
+        .map(machineId => [machineId, machineTimelines[machineId]]));
+    const executing = Object.values(affected).find(timeline => timeline.tasks.some(t => t.status));
+    if (executing) return { error: `${executing.name} is already running this schedule; re-plan it from the shop floor instead.` };
+    const unfit = layoutTimelines(affected, schedule.priorityRule || 'profit', settings, { index: day.day - 1, date: day.date || null }, { keepOrder: true });
+    if (unfit.length > 0) {
+        const name = machineTimelines[toMachineId]?.name || machineTimelines[fromMachineId]?.name;
+        return { error: `Not enough time on ${name}: ${unfit.length} task(s) would run past the end of its shift.` };
+    }
+
+    const updatedDays = days.map((d, i) => (i === dayPosition ? summarizeDay({ ...d, machineTimelines }) : d));
+    return {
+        schedule: {
+            ...schedule,
+            ...summarizeHorizon(updatedDays, overflowTasks, schedule.stockBlockedTasks || []),
+            manualEdits: (schedule.manualEdits || 0) + 1,
+        },
+    };
+};
+
+// --- Shop Floor Execution ---
+// Tasks move from planned to started to done or failed as operators report
+// them. Executed tasks keep their actual times (minutes on the same axis as
+// startTime) and the remaining tasks of the day are re-planned after them.
+
+const TASK_EVENTS = {
+    start: ['pending'],
+    done: ['started'],
+    fail: ['started'],
+};
+
+const statusOf = (task) => task.status || 'pending';
+
+// The scrapped pieces of a failed task as a task to run again: a smaller run
+// of the same item, or a mixed run of just the scrapped parts. `counts` are
+// the scrapped pieces per part, in taskParts order.
+const scrapRemake = (task, counts) => {
+    const scaled = (fields, quantity) => {
+        const share = quantity / fields.quantity;
+        return {
+            quantity,
+            buildTime: fields.buildTime * share,
+            profit: fields.profit * share,
+            bedShare: fields.bedShare === undefined ? undefined : fields.bedShare * share,
+            materialUsage: scaleUsage(fields.materialUsage, share),
+        };
+    };
+    if (!task.parts) {
+        if (counts[0] === task.quantity) return task;
+        const remake = { ...task, ...scaled(task, counts[0]) };
+        return { ...remake, profitPerMinute: remake.profit / remake.buildTime };
+    }
+    const parts = task.parts
+        .map((part, i) => ({ ...part, ...scaled(part, counts[i]) }))
+        .filter(part => part.quantity > 0);
+    const buildTime = parts.reduce((sum, part) => sum + part.buildTime, 0);
+    const profit = sumProfit(parts);
+    return {
+        ...task,
+        name: parts.map(part => part.name).join(' + '),
+        parts,
+        quantity: parts.reduce((sum, part) => sum + part.quantity, 0),
+        bedShare: parts.reduce((sum, part) => sum + (part.bedShare || 0), 0),
+        buildTime,
+        profit,
+        profitPerMinute: profit / buildTime,
+        materialUsage: sumUsage(parts),
+    };
+};
+
+// Re-plans every machine of a day from `now`: executed tasks stay where they
+// ran, a started task is expected to take its planned time, and pending tasks
+// follow in their current order. Pending tasks that no longer fit the shift
+// are returned as unfit.
+const replanMachines = (machineTimelines, rule, settings, day, now) => {
+    const unfit = [];
+    Object.entries(machineTimelines).forEach(([machineId, timeline]) => {
+        const executed = timeline.tasks.filter(task => statusOf(task) !== 'pending');
+        const pending = timeline.tasks.filter(task => statusOf(task) === 'pending');
+        const busyUntil = executed.reduce((latest, task) => Math.max(latest, task.endTime), -Infinity);
+        const resumeAt = Math.max(now, busyUntil);
+        const lastExecuted = [...executed].sort((a, b) => a.startTime - b.startTime).pop();
+
+        const remainder = {
+            ...timeline,
+            tasks: pending,
+            windows: timeline.windows
+                .map(window => ({ start: Math.max(window.start, resumeAt), end: window.end }))
+                .filter(window => window.end > window.start),
+            startSetup: lastExecuted && lastExecuted.setupKey ? lastExecuted.setupKey : timeline.startSetup,
+        };
+        unfit.push(...layoutTimelines({ [machineId]: remainder }, rule, settings, day, { keepOrder: true }));
+
+        timeline.tasks = [...executed, ...remainder.tasks];
+        timeline.currentTime = Math.max(remainder.currentTime, busyUntil);
+        timeline.lastSetup = remainder.lastSetup;
+        timeline.changeoverMinutes = timeline.tasks.reduce((sum, task) => sum + task.changeover, 0);
+        timeline.operatingCost = timeline.tasks.reduce((sum, task) => sum + task.operatingCost, 0);
+    });
+    return unfit;
+};
+
+// Re-plans the given (copied) timelines of a day from `now` and puts the
+// result back into the schedule; tasks pushed out of the day go to overflow.
+const replanDay = (schedule, days, dayPosition, machineTimelines, now, settings) => {
+    const day = days[dayPosition];
+    const unfit = replanMachines(machineTimelines, schedule.priorityRule || 'profit', settings, { index: day.day - 1, date: day.date || null }, now);
+    const overflowTasks = [...(schedule.overflowTasks || []), ...unfit.map(toUnscheduledTask)];
+    const updatedDays = days.map((d, i) => (i === dayPosition ? summarizeDay({ ...d, machineTimelines }) : d));
+    return {
+        ...schedule,
+        ...summarizeHorizon(updatedDays, overflowTasks, schedule.stockBlockedTasks || []),
+    };
+};
+
+const copyTimelines = (day) => Object.fromEntries(Object.entries(day.machineTimelines)
+    .map(([machineId, timeline]) => [machineId, { ...timeline, tasks: [...timeline.tasks] }]));
+
+// Records an operator's report on a task of the given day: 'start', 'done'
+// or 'fail'. `now` is the current time in minutes on the schedule's axis and
+// `at` the wall-clock time it happened. On 'fail', `scrapped` gives the pieces
+// scrapped per part of the task (taskParts order; all of them when omitted):
+// those earn nothing and are queued again on the same machine, the rest count
+// as made. The rest of the day is then re-planned from now. Returns
+// { schedule } or { error }.
+export const recordTaskEvent = (schedule, { dayNumber = 1, machineId, taskId, event, now, at = new Date(), scrapped = null }, settings = {}) => {
+    const days = schedule.days || [{ ...schedule, day: 1 }];
+    const dayPosition = days.findIndex(d => d.day === dayNumber);
+    if (dayPosition < 0) return { error: `Day ${dayNumber} is not part of this schedule.` };
+    const day = days[dayPosition];
+    if (!day.machineTimelines[machineId]) return { error: 'That machine is not part of this schedule.' };
+
+    const machineTimelines = copyTimelines(day);
+    const timeline = machineTimelines[machineId];
+    const index = timeline.tasks.findIndex(t => t.id === taskId);
+    if (index < 0) return { error: 'That task is no longer in the schedule.' };
+    const task = timeline.tasks[index];
+    if (!TASK_EVENTS[event] || !TASK_EVENTS[event].includes(statusOf(task))) {
+        return { error: `${task.name} is ${statusOf(task)} and can't be marked ${event}.` };
+    }
+    if (event === 'start' && timeline.tasks.some(t => statusOf(t) === 'started')) {
+        return { error: `${timeline.name} is still running another task. Finish it first.` };
+    }
+    const parts = taskParts(task);
+    const scrapCounts = scrapped || parts.map(part => part.quantity);
+    if (event === 'fail' && (scrapCounts.length !== parts.length
+        || scrapCounts.some((count, i) => !Number.isInteger(count) || count < 0 || count > parts[i].quantity)
+        || scrapCounts.every(count => count === 0))) {
+        return { error: `Scrapped pieces of ${task.name} must be whole numbers up to each part's quantity, and at least one.` };
+    }
+
+    const timestamp = at.toISOString();
+    if (event === 'start') {
+        // The started task runs next, ahead of anything planned before it
+        const duration = task.endTime - task.startTime;
+        timeline.tasks.splice(index, 1);
+        timeline.tasks.push({
+            ...task,
+            status: 'started',
+            plannedStart: task.startTime,
+            plannedEnd: task.endTime,
+            actualStart: now,
+            startedAt: timestamp,
+            startTime: now,
+            endTime: now + duration,
+            segments: [{ start: now, end: now + duration }],
+        });
+    } else {
+        const finished = {
+            ...task,
+            status: event === 'done' ? 'done' : 'failed',
+            actualEnd: Math.max(now, task.actualStart),
+            finishedAt: timestamp,
+            endTime: Math.max(now, task.actualStart),
+            segments: [{ start: task.actualStart, end: Math.max(now, task.actualStart) }],
+        };
+        if (event === 'fail') {
+            // Only the good pieces earn their share of the profit
+            finished.grossProfit = parts.reduce((sum, part, i) => sum + part.profit * ((part.quantity - scrapCounts[i]) / part.quantity), 0);
+            finished.profit = finished.grossProfit - finished.operatingCost;
+            if (task.parts) finished.parts = task.parts.map((part, i) => ({ ...part, scrapped: scrapCounts[i] }));
+            else finished.scrapped = scrapCounts[0];
+        }
+        timeline.tasks[index] = finished;
+        if (event === 'fail') {
+            const retries = Object.values(machineTimelines).flatMap(t => t.tasks)
+                .concat(schedule.overflowTasks || [])
+                .filter(t => t.id.startsWith(`${task.id}-r`)).length;
+            timeline.tasks.push({ ...scrapRemake(toUnscheduledTask(task), scrapCounts), id: `${task.id}-r${retries + 1}`, requeuedFrom: task.id });
+        }
+    }
+
+    return { schedule: replanDay(schedule, days, dayPosition, machineTimelines, now, settings) };
+};
+
+// Re-plans the pending tasks of a day from `now` without recording anything,
+// e.g. after the shift started late.
+export const replanFromNow = (schedule, { dayNumber = 1, now }, settings = {}) => {
+    const days = schedule.days || [{ ...schedule, day: 1 }];
+    const dayPosition = days.findIndex(d => d.day === dayNumber);
+    if (dayPosition < 0) return { error: `Day ${dayNumber} is not part of this schedule.` };
+    return { schedule: replanDay(schedule, days, dayPosition, copyTimelines(days[dayPosition]), now, settings) };
+};
+
+// Entry point used by the UI: picks the scheduler from settings.scheduleMode
+// and plans the horizon from settings.planningDays.
+export const buildSchedule = (input) => {
+    const settings = input.settings || {};
+    if (settings.scheduleMode === 'optimize') {
+        const budget = { timeLimitMs: (settings.optimizerSeconds || 1) * 1000 };
+        return planDays(input, (tasks, machines, daySettings, day) => scheduleTasksOptimized(tasks, machines, daySettings, budget, day));
+    }
+    return planDays(input, scheduleTasksGreedy);
+};
@@ -0,0 +1,165 @@
+import { describe, expect, it } from 'vitest';
+import { buildSchedule, generateSchedule, recordTaskEvent } from './scheduler';
+
+const machines = [{ id: 'm1', name: 'Laser A' }, { id: 'm2', name: 'Laser B' }];
+
+const item = (overrides = {}) => ({
+    id: 'item-1',
+    name: 'Coaster',
+    buildTime: '30',
+    price: '10',
+    cost: '4',
+    allowedMachines: ['m1', 'm2'],
+    ...overrides,
+});
+
+const order = (quantity, overrides = {}) => ({ id: 'order-1', itemId: 'item-1', itemName: 'Coaster', quantity, ...overrides });
+
+const tasksOn = (schedule, machineId) => schedule.machineTimelines[machineId].tasks;
+
+describe('allowed-machine filtering', () => {
+    it('only places tasks on the machines the item allows', () => {
+        const schedule = generateSchedule({ items: [item({ allowedMachines: ['m2'] })], machines, orders: [order(4)], settings: { workHours: 8 } });
+        expect(tasksOn(schedule, 'm1')).toHaveLength(0);
+        expect(tasksOn(schedule, 'm2')).toHaveLength(4);
+        expect(schedule.overflowTasks).toHaveLength(0);
+    });
+
+    it('overflows tasks whose allowed machines are full instead of using another machine', () => {
+        const schedule = generateSchedule({ items: [item({ allowedMachines: ['m1'] })], machines, orders: [order(3)], settings: { workHours: 1 } });
+        expect(tasksOn(schedule, 'm1')).toHaveLength(2);
+        expect(tasksOn(schedule, 'm2')).toHaveLength(0);
+        expect(schedule.overflowTasks).toHaveLength(1);
+    });
+
+    it('overflows items with no allowed machine or only unknown ones', () => {
+        const items = [
+            item({ id: 'none', allowedMachines: [] }),
+            item({ id: 'unknown', allowedMachines: ['machine-gone'] }),
+        ];
+        const orders = [order(1, { id: 'order-none', itemId: 'none' }), order(1, { id: 'order-unknown', itemId: 'unknown' })];
+        const schedule = generateSchedule({ items, machines, orders, settings: { workHours: 8 } });
+        expect(schedule.overflowTasks.map(task => task.orderId).sort()).toEqual(['order-none', 'order-unknown']);
+        expect(schedule.totalProfit).toBe(0);
+    });
+});
+
+describe('overflow at the workHours boundary', () => {
+    const run = (quantity, buildTime, workHours) => generateSchedule({
+        items: [item({ buildTime: String(buildTime), allowedMachines: ['m1'] })],
+        machines: [machines[0]],
+        orders: [order(quantity)],
+        settings: { workHours },
+    });
+
+    it('fits tasks that end exactly at the end of the workday', () => {
+        const schedule = run(2, 30, 1);
+        expect(tasksOn(schedule, 'm1')).toHaveLength(2);
+        expect(tasksOn(schedule, 'm1')[1].endTime).toBe(60);
+        expect(schedule.overflowTasks).toHaveLength(0);
+    });
+
+    it('overflows the task that would run past the end of the workday', () => {
+        const schedule = run(3, 30, 1);
+        expect(tasksOn(schedule, 'm1')).toHaveLength(2);
+        expect(schedule.overflowTasks).toHaveLength(1);
+        expect(schedule.overflowProfit).toBe(6);
+    });
+
+    it('overflows a task longer than the whole workday', () => {
+        const schedule = run(1, 61, 1);
+        expect(tasksOn(schedule, 'm1')).toHaveLength(0);
+        expect(schedule.overflowTasks).toHaveLength(1);
+    });
+});
+
+describe('zero and invalid build times', () => {
+    it.each(['0', '-5', 'abc', '', undefined])('skips items with build time %s', (buildTime) => {
+        const schedule = generateSchedule({ items: [item({ buildTime })], machines, orders: [order(3)], settings: { workHours: 8 } });
+        expect(tasksOn(schedule, 'm1')).toHaveLength(0);
+        expect(tasksOn(schedule, 'm2')).toHaveLength(0);
+        expect(schedule.overflowTasks).toHaveLength(0);
+        expect(schedule.totalProfit).toBe(0);
+    });
+
+    it('still schedules other orders next to an item without a usable build time', () => {
+        const items = [item({ id: 'broken', buildTime: '0' }), item()];
+        const orders = [order(2, { id: 'order-broken', itemId: 'broken' }), order(2)];
+        const schedule = generateSchedule({ items, machines, orders, settings: { workHours: 8 } });
+        const placed = [...tasksOn(schedule, 'm1'), ...tasksOn(schedule, 'm2')];
+        expect(placed).toHaveLength(2);
+        expect(placed.every(task => task.orderId === 'order-1')).toBe(true);
+        expect(schedule.totalProfit).toBe(12);
+    });
+});
+
+describe('scrapped pieces of a failed run', () => {
+    const batch = item({ partsPerRun: '12', minutesPerRun: '60', allowedMachines: ['m1'] });
+    const planned = () => buildSchedule({ items: [batch], machines: [machines[0]], orders: [order(12)], settings: { workHours: 8 }, scheduleDate: '2026-10-19' });
+    const fail = (schedule, scrapped) => {
+        const [run] = tasksOn(schedule, 'm1');
+        const started = recordTaskEvent(schedule, { machineId: 'm1', taskId: run.id, event: 'start', now: 0 }).schedule;
+        return recordTaskEvent(started, { machineId: 'm1', taskId: run.id, event: 'fail', now: 60, scrapped });
+    };
+
+    it('re-queues only the scrapped pieces and counts the rest as made', () => {
+        const { schedule } = fail(planned(), [3]);
+        const [failed, remake] = tasksOn(schedule, 'm1');
+        expect(failed).toMatchObject({ status: 'failed', scrapped: 3, grossProfit: 54 });
+        expect(remake).toMatchObject({ requeuedFrom: failed.id, quantity: 3, buildTime: 15, profit: 18 });
+        expect(remake.bedShare).toBe(0.25);
+    });
+
+    it('re-queues the whole run when no count is given', () => {
+        const { schedule } = fail(planned());
+        const [failed, remake] = tasksOn(schedule, 'm1');
+        expect(failed.grossProfit).toBe(0);
+        expect(remake).toMatchObject({ quantity: 12, buildTime: 60 });
+    });
+
+    it('rejects scrap counts above the run size', () => {
+        expect(fail(planned(), [13]).error).toMatch(/Scrapped pieces/);
+        expect(fail(planned(), [0]).error).toMatch(/Scrapped pieces/);
+    });
+});
+
+describe('run size captured with the order', () => {
+    const snapshot = { price: '10', cost: '4', buildTime: '5', partsPerRun: '12', minutesPerRun: '60' };
+    const runsFor = (orderSnapshot) => generateSchedule({
+        items: [item({ buildTime: '5', partsPerRun: '6', minutesPerRun: '40', allowedMachines: ['m1'] })],
+        machines: [machines[0]],
+        orders: [order(24, { snapshot: orderSnapshot })],
+        settings: { workHours: 8 },
+    });
+
+    it('plans runs from the snapshot, not the item edited since', () => {
+        const tasks = tasksOn(runsFor(snapshot), 'm1');
+        expect(tasks).toHaveLength(2);
+        expect(tasks[0]).toMatchObject({ quantity: 12, buildTime: 60 });
+    });
+
+    it('uses the item for snapshots taken before run sizes were recorded', () => {
+        const tasks = tasksOn(runsFor({ price: '10', cost: '4', buildTime: '5' }), 'm1');
+        expect(tasks).toHaveLength(4);
+        expect(tasks[0]).toMatchObject({ quantity: 6, buildTime: 40 });
+    });
+});
+
+describe('optimizer with one item at different prices', () => {
+    it('treats a full run and a partial run as different tasks', () => {
+        const schedule = buildSchedule({
+            items: [item({ buildTime: '16', price: '30', partsPerRun: '2', minutesPerRun: '88' })],
+            machines: [{ ...machines[0], hourlyCost: '4' }, { ...machines[1], hourlyCost: '18' }],
+            orders: [
+                order(2, { id: 'order-old-price', snapshot: { price: '18', cost: '4', buildTime: '16' } }),
+                order(1, { id: 'order-new-price' }),
+            ],
+            settings: { workHours: 2, scheduleMode: 'optimize' },
+            scheduleDate: '2026-10-19',
+        });
+        // The long full run belongs on the cheap machine even though it earns less per minute
+        expect(tasksOn(schedule, 'm1').map(task => task.orderId)).toEqual(['order-old-price']);
+        expect(tasksOn(schedule, 'm2').map(task => task.orderId)).toEqual(['order-new-price']);
+        expect(schedule.totalProfit).toBeGreaterThan(schedule.greedyProfit);
+    });
+});
@@ -0,0 +1,272 @@
+// --- Storage Backends ---
+// Where the app's data is kept. Every backend is an adapter with the same
+// promise-based interface:
+//   load()        the saved data, or null when there is none yet
+//   save(data)    stores the data
+//   clear()       deletes it; rejects when it could not
+// Backends that share data between devices also have
+//   sync({ onStatus, onRemoteData })   starts background syncing, returns a stop function
+//   resolveConflict(choice, localData) settles a conflict reported through onStatus
+// Which backend is used is a per-browser choice kept in local storage, outside
+// the data itself.
+
+import { defaultData, mergeSyncedData, migrateData, SCHEMA_VERSION } from './dataSchema';
+
+export const LOCAL_STORAGE_KEY = 'laserAppProductionData';
+const CONFIG_KEY = 'laserAppStorageConfig';
+const DEVICE_KEY = 'laserAppDeviceId';
+const SYNC_CACHE_KEY = 'laserAppSyncCache';
+const SYNC_INTERVAL_MS = 30000;
+
+export const STORAGE_BACKENDS = {
+    local: 'This browser (local storage)',
+    indexeddb: 'This browser (IndexedDB, no size cap)',
+    http: 'Sync server (shared between devices)',
+};
+
+// Saved data upgraded to the current schema, with defaults for anything missing.
+export const normalizeData = (raw) => (raw ? { ...defaultData(), ...migrateData(raw) } : defaultData());
+
+const withVersion = (data) => ({ ...data, version: SCHEMA_VERSION });
+
+export const createLocalStorageAdapter = (key = LOCAL_STORAGE_KEY) => ({
+    name: 'local',
+    load: async () => {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : null;
+    },
+    save: async (data) => {
+        localStorage.setItem(key, JSON.stringify(withVersion(data)));
+    },
+    clear: async () => {
+        localStorage.removeItem(key);
+    },
+});
+
+// IndexedDB keeps the whole dataset as one record, like local storage does,
+// but without local storage's few-megabyte limit.
+export const createIndexedDbAdapter = ({ dbName = 'laser-scheduler', storeName = 'appData', key = 'data' } = {}) => {
+    let opening = null;
+    const open = () => {
+        if (!opening) {
+            opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return opening;
+    };
+    const run = async (mode, action) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    };
+    return {
+        name: 'indexeddb',
+        load: async () => (await run('readonly', store => store.get(key))) ?? null,
+        save: (data) => run('readwrite', store => store.put(withVersion(data), key)),
+        clear: () => run('readwrite', store => store.delete(key)),
+    };
+};
+
+// A random id per browser, so the server can tell which device wrote last.
+export const deviceId = () => {
+    let id = localStorage.getItem(DEVICE_KEY);
+    if (!id) {
+        id = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        localStorage.setItem(DEVICE_KEY, id);
+    }
+    return id;
+};
+
+class ConflictError extends Error {
+    constructor(remote) {
+        super('The data on the server was changed by another device.');
+        this.name = 'ConflictError';
+        this.remote = remote;
+    }
+}
+
+// Talks to the sync server (server/sync-server.js). The server keeps one
+// dataset with a revision number; a save names the revision it was based on
+// and is refused with 409 when another device saved in between, which is
+// reported as a conflict instead of overwriting that device's work.
+//
+// Every save goes to a local cache first. While the server can't be reached
+// the cache holds the latest unsent data (saves replace each other, since each
+// is the whole dataset) and it is sent once the server is back, so the app
+// keeps working offline and across reloads.
+// The sync cache lives in IndexedDB where available, so the shared dataset
+// isn't held to local storage's size limit either.
+const defaultSyncCache = () => (typeof indexedDB !== 'undefined'
+    ? createIndexedDbAdapter({ key: SYNC_CACHE_KEY })
+    : createLocalStorageAdapter(SYNC_CACHE_KEY));
+
+export const createHttpAdapter = ({ url, cache = defaultSyncCache(), fetchImpl = (...args) => fetch(...args) }) => {
+    const endpoint = `${url.replace(/\/+$/, '')}/data`;
+    const device = deviceId();
+    // { data, revision, pending }: the last data this device has, the server
+    // revision it is based on, and whether the server still lacks it
+    let state = { data: null, revision: 0, pending: false };
+    let conflict = null;
+    let flushing = null;
+    let status = () => {};
+
+    const remember = async (next) => {
+        state = next;
+        await cache.save(state);
+    };
+
+    const request = async (method, body) => {
+        const response = await fetchImpl(endpoint, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (response.status === 409) throw new ConflictError(payload);
+        if (!response.ok) throw new Error(payload.error || `Sync server answered ${response.status}.`);
+        return payload;
+    };
+
+    const reportFailure = (error) => {
+        if (error instanceof ConflictError) {
+            conflict = error.remote;
+            status({ state: 'conflict', remote: normalizeData(conflict.data), updatedBy: conflict.updatedBy, updatedAt: conflict.updatedAt });
+        } else {
+            status({ state: 'offline', message: error.message });
+        }
+    };
+
+    // Sends the cached data if the server doesn't have it yet. Only one send
+    // runs at a time; a save made meanwhile is sent right after.
+    const flush = async () => {
+        if (flushing) return flushing;
+        flushing = (async () => {
+            while (state.pending && !conflict) {
+                const sent = state.data;
+                try {
+                    const { revision } = await request('PUT', { baseRevision: state.revision, data: sent, deviceId: device });
+                    await remember({ data: state.data, revision, pending: state.data !== sent });
+                } catch (error) {
+                    reportFailure(error);
+                    return;
+                }
+            }
+            if (!conflict) status({ state: 'synced' });
+        })();
+        try {
+            await flushing;
+        } finally {
+            flushing = null;
+        }
+        return undefined;
+    };
+
+    // Fetches the server's data. Returns it when it is newer than what this
+    // device has and there is nothing local waiting to be sent; local changes
+    // made on top of an older revision are a conflict.
+    const pull = async () => {
+        const remote = await request('GET');
+        if (remote.revision === state.revision) return null;
+        if (state.pending) throw new ConflictError(remote);
+        await remember({ data: remote.data, revision: remote.revision, pending: false });
+        return remote.data;
+    };
+
+    return {
+        name: 'http',
+        load: async () => {
+            state = (await cache.load()) || state;
+            try {
+                await pull();
+                if (state.pending) await flush();
+                else status({ state: 'synced' });
+            } catch (error) {
+                reportFailure(error);
+            }
+            return state.data;
+        },
+        save: async (data) => {
+            await remember({ data: withVersion(data), revision: state.revision, pending: true });
+            if (conflict) return;
+            status({ state: 'pending' });
+            await flush();
+        },
+        // The local copy is only dropped once the server has deleted its own,
+        // so a failed delete leaves everything as it was. Like a save, the
+        // delete names the revision it is based on, so it is refused when
+        // another device saved since this one last synced.
+        clear: async () => {
+            await request('DELETE', { baseRevision: state.revision, deviceId: device });
+            await cache.clear();
+        },
+        // Checks the server every SYNC_INTERVAL_MS and when the browser comes
+        // back online: sends queued data or picks up other devices' saves.
+        sync: ({ onStatus, onRemoteData }) => {
+            status = onStatus;
+            const check = async () => {
+                if (conflict) return;
+                try {
+                    if (state.pending) {
+                        await flush();
+                        return;
+                    }
+                    const remote = await pull();
+                    if (remote) onRemoteData(normalizeData(remote));
+                    status({ state: 'synced' });
+                } catch (error) {
+                    reportFailure(error);
+                }
+            };
+            const timer = setInterval(check, SYNC_INTERVAL_MS);
+            window.addEventListener('online', check);
+            return () => {
+                clearInterval(timer);
+                window.removeEventListener('online', check);
+                status = () => {};
+            };
+        },
+        // 'mine' writes this device's data over the server's, 'theirs' takes
+        // the server's, 'merge' combines them (see mergeSyncedData). Returns
+        // the data to show.
+        resolveConflict: async (choice, localData) => {
+            if (!conflict) return localData;
+            const { data: remoteData, revision } = conflict;
+            const remote = normalizeData(remoteData);
+            conflict = null;
+            if (choice === 'theirs') {
+                await remember({ data: remoteData, revision, pending: false });
+                status({ state: 'synced' });
+                return remote;
+            }
+            const resolved = choice === 'merge' ? mergeSyncedData(remote, localData) : localData;
+            await remember({ data: withVersion(resolved), revision, pending: true });
+            await flush();
+            return resolved;
+        },
+    };
+};
+
+export const loadStorageConfig = () => {
+    try {
+        const config = JSON.parse(localStorage.getItem(CONFIG_KEY));
+        if (config && STORAGE_BACKENDS[config.backend]) return config;
+    } catch (error) {
+        console.error('Error reading the storage settings:', error);
+    }
+    return { backend: 'local', serverUrl: '' };
+};
+
+export const saveStorageConfig = (config) => localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+
+export const createStorage = (config = loadStorageConfig()) => {
+    if (config.backend === 'indexeddb' && typeof indexedDB !== 'undefined') return createIndexedDbAdapter();
+    if (config.backend === 'http' && config.serverUrl) return createHttpAdapter({ url: config.serverUrl });
+    return createLocalStorageAdapter();
+};
@@ -0,0 +1,61 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createHttpAdapter } from './storage';
+
+const memoryCache = (data) => {
+    let stored = data;
+    return {
+        load: async () => stored,
+        save: async (next) => { stored = next; },
+        clear: vi.fn(async () => { stored = null; }),
+        stored: () => stored,
+    };
+};
+
+const respond = (status, body = {}) => Promise.resolve({ ok: status < 400, status, json: async () => body });
+
+// A server at `revision` that answers DELETE with `deleteStatus`, recording what was sent
+const fakeServer = (revision, deleteStatus = 200, deleteBody = {}) => {
+    const deletes = [];
+    const fetchImpl = (url, { method, body }) => {
+        if (method === 'GET') return respond(200, { revision, data: { items: [] } });
+        deletes.push(JSON.parse(body));
+        return respond(deleteStatus, deleteBody);
+    };
+    return { fetchImpl, deletes };
+};
+
+describe('clearing data on the sync server', () => {
+    beforeEach(() => {
+        const values = {};
+        vi.stubGlobal('localStorage', { getItem: key => values[key] ?? null, setItem: (key, value) => { values[key] = value; } });
+    });
+    afterEach(() => vi.unstubAllGlobals());
+
+    const connect = async (server) => {
+        const cache = memoryCache({ data: { items: [] }, revision: 3, pending: false });
+        const adapter = createHttpAdapter({ url: 'http://sync.test', cache, fetchImpl: server.fetchImpl });
+        await adapter.load();
+        return { adapter, cache };
+    };
+
+    it('names the revision it is based on and drops the local copy once the server deleted its own', async () => {
+        const server = fakeServer(3, 200, { revision: 4 });
+        const { adapter, cache } = await connect(server);
+        await adapter.clear();
+        expect(server.deletes[0]).toMatchObject({ baseRevision: 3 });
+        expect(cache.stored()).toBeNull();
+    });
+
+    it('keeps the local copy and rejects when the server could not delete', async () => {
+        const { adapter, cache } = await connect(fakeServer(3, 500, { error: 'Disk full.' }));
+        await expect(adapter.clear()).rejects.toThrow('Disk full.');
+        expect(cache.clear).not.toHaveBeenCalled();
+        expect(cache.stored()).not.toBeNull();
+    });
+
+    it('is refused when another device saved since the last sync', async () => {
+        const { adapter, cache } = await connect(fakeServer(3, 409, { revision: 5, data: { items: [] } }));
+        await expect(adapter.clear()).rejects.toThrow(/another device/);
+        expect(cache.clear).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,50 @@
+// --- Undo/Redo ---
+// The app's data as a present value with the values before it (past) and the
+// values undone from it (future). Only the present is saved to local
+// storage; the stacks live in memory and past is capped at UNDO_LIMIT steps,
+// oldest dropped first.
+
+export const UNDO_LIMIT = 50;
+
+export const createUndoState = (present) => ({ past: [], present, future: [] });
+
+// A new step: the present moves onto past and anything undone is forgotten.
+// `label` describes the change for undo prompts.
+export const recordChange = (state, present, label = null, limit = UNDO_LIMIT) => ({
+    past: [...state.past, { value: state.present, label }].slice(-limit),
+    present,
+    future: [],
+});
+
+// Replaces the present without a new step, for changes that belong to the
+// step just recorded (one user action that updates several parts of the data).
+export const amendChange = (state, present, label = null) => {
+    if (!label || state.past.length === 0) return { ...state, present };
+    const past = [...state.past];
+    past[past.length - 1] = { ...past[past.length - 1], label };
+    return { ...state, past, present };
+};
+
+export const canUndo = (state) => state.past.length > 0;
+
+export const canRedo = (state) => state.future.length > 0;
+
+export const undoChange = (state) => {
+    if (!canUndo(state)) return state;
+    const previous = state.past[state.past.length - 1];
+    return {
+        past: state.past.slice(0, -1),
+        present: previous.value,
+        future: [{ value: state.present, label: previous.label }, ...state.future],
+    };
+};
+
+export const redoChange = (state) => {
+    if (!canRedo(state)) return state;
+    const [next, ...future] = state.future;
+    return {
+        past: [...state.past, { value: state.present, label: next.label }],
+        present: next.value,
+        future,
+    };
+};